@@ -6,11 +6,19 @@ const patientRoutes = require('./routes/patients');
 const appointmentRoutes = require('./routes/appointments');
 const userRoutes = require('./routes/users');
 const billingRoutes = require('./routes/billing');
+const breakGlassRoutes = require('./routes/breakGlass');
+const codeRoutes = require('./routes/codes');
+const drugRoutes = require('./routes/drugs');
+const labRoutes = require('./routes/labs');
+const wardRoutes = require('./routes/wards');
+const immunizationRoutes = require('./routes/immunizations');
+const portalRoutes = require('./routes/portal');
 const connectDB = require('./config/db');
+const { PAGINATION_HEADERS } = require('./services/listQuery');
 require('dotenv').config();
 
 const app = express();
-app.use(cors());
+app.use(cors({ exposedHeaders: PAGINATION_HEADERS }));
 app.use(express.json());
 
 connectDB();
@@ -19,5 +27,12 @@ app.use('/api/patients', patientRoutes);
 app.use('/api/appointments', appointmentRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/billing', billingRoutes);
+app.use('/api/break-glass', breakGlassRoutes);
+app.use('/api/codes', codeRoutes);
+app.use('/api/drugs', drugRoutes);
+app.use('/api/labs', labRoutes);
+app.use('/api/wards', wardRoutes);
+app.use('/api/immunizations', immunizationRoutes);
+app.use('/api/portal', portalRoutes);
 
 module.exports = app; 
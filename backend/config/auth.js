@@ -0,0 +1,12 @@
+module.exports = {
+  ACCESS_TOKEN_TTL: process.env.ACCESS_TOKEN_TTL || '15m',
+  REFRESH_TOKEN_TTL_DAYS: Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7,
+
+  // Brute-force protection for POST /api/users/login
+  LOGIN_MAX_FAILURES_PER_USER: Number(process.env.LOGIN_MAX_FAILURES_PER_USER) || 5,
+  LOGIN_MAX_FAILURES_PER_IP: Number(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20,
+  LOGIN_BACKOFF_AFTER: Number(process.env.LOGIN_BACKOFF_AFTER) || 3,
+  LOGIN_BACKOFF_BASE_MS: Number(process.env.LOGIN_BACKOFF_BASE_MS) || 1000,
+  LOGIN_LOCKOUT_MINUTES: Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  LOGIN_FAILURE_WINDOW_MINUTES: Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 30,
+};
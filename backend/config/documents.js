@@ -0,0 +1,11 @@
+const path = require('path');
+
+// Patient document uploads. DOCUMENT_STORAGE names a backend registered in
+// services/documentStorage.js; the local one writes under DOCUMENT_DIR.
+module.exports = {
+  DOCUMENT_CATEGORIES: ['referral', 'consent', 'imaging', 'lab', 'correspondence', 'other'],
+  ALLOWED_MIME_TYPES: ['application/pdf', 'image/jpeg', 'image/png', 'image/tiff'],
+  MAX_DOCUMENT_BYTES: Number(process.env.MAX_DOCUMENT_BYTES) || 10 * 1024 * 1024,
+  DOCUMENT_STORAGE: process.env.DOCUMENT_STORAGE || 'local',
+  DOCUMENT_DIR: process.env.DOCUMENT_DIR || path.join(__dirname, '..', 'uploads', 'documents'),
+};
@@ -0,0 +1,12 @@
+const flag = (value, fallback) => (value === undefined ? fallback : value === 'true');
+
+module.exports = {
+  minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 8,
+  requireUppercase: flag(process.env.PASSWORD_REQUIRE_UPPERCASE, false),
+  requireLowercase: flag(process.env.PASSWORD_REQUIRE_LOWERCASE, true),
+  requireDigit: flag(process.env.PASSWORD_REQUIRE_DIGIT, true),
+  requireSymbol: flag(process.env.PASSWORD_REQUIRE_SYMBOL, false),
+  // Number of previous passwords that may not be reused
+  historySize: Number(process.env.PASSWORD_HISTORY_SIZE) || 5,
+  resetTokenTtlMinutes: Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30,
+};
@@ -0,0 +1,5 @@
+// How long an archived patient record is kept before the purge script may
+// remove it. Defaults to ten years after archiving.
+module.exports = {
+  ARCHIVE_RETENTION_YEARS: Number(process.env.ARCHIVE_RETENTION_YEARS) || 10,
+};
@@ -0,0 +1,64 @@
+const ROLES = ['admin', 'doctor', 'nurse', 'receptionist', 'billing', 'patient'];
+
+// Which roles may perform each action. Routes reference these keys through
+// requirePermission() so access rules live in one place.
+const PERMISSIONS = {
+  'patients:read': ['admin', 'doctor', 'nurse', 'receptionist', 'billing'],
+  'patients:write': ['admin', 'doctor', 'nurse', 'receptionist'],
+  'patients:delete': ['admin'],
+  'patients:restore': ['admin'],
+  'patients:assign': ['admin', 'receptionist', 'doctor'],
+  'patients:dedupe': ['admin', 'receptionist'],
+  'patients:merge': ['admin'],
+  'patients:breakGlass': ['doctor', 'nurse'],
+  'clinical:write': ['admin', 'doctor', 'nurse'],
+  'documents:read': ['admin', 'doctor', 'nurse', 'receptionist'],
+  'documents:write': ['admin', 'doctor', 'nurse', 'receptionist'],
+  'documents:delete': ['admin'],
+  'notes:read': ['admin', 'doctor', 'nurse'],
+  'notes:write': ['doctor', 'nurse'],
+  'prescriptions:read': ['admin', 'doctor', 'nurse'],
+  'prescriptions:write': ['doctor'],
+  'labs:read': ['admin', 'doctor', 'nurse'],
+  'labs:order': ['doctor'],
+  'labs:process': ['admin', 'nurse'],
+  'labs:review': ['admin', 'doctor'],
+  'wards:read': ['admin', 'doctor', 'nurse', 'receptionist'],
+  'wards:manage': ['admin'],
+  'adt:manage': ['admin', 'doctor', 'nurse', 'receptionist'],
+  'summaries:read': ['admin', 'doctor', 'nurse'],
+  'summaries:write': ['doctor'],
+  'immunizations:read': ['admin', 'doctor', 'nurse'],
+  'immunizations:write': ['doctor', 'nurse'],
+  'immunizations:configure': ['admin'],
+  'appointments:read': ['admin', 'doctor', 'nurse', 'receptionist'],
+  'appointments:write': ['admin', 'doctor', 'receptionist'],
+  'appointments:delete': ['admin', 'receptionist'],
+  'billing:read': ['admin', 'billing', 'receptionist'],
+  'billing:write': ['admin', 'billing'],
+  'billing:delete': ['admin'],
+  'users:manage': ['admin'],
+  // Patients only ever reach their own record, through /api/portal
+  'portal:access': ['patient'],
+  'audit:read': ['admin'],
+};
+
+// Which patients each role can see once it has a read permission:
+//   all        - every patient
+//   careTeam   - patients the user is assigned to as doctor or nurse
+//   department - patients in the user's department
+// Front-desk and billing staff need to find any patient, so they get the
+// wide view explicitly; clinicians only see the patients they look after.
+const PATIENT_SCOPES = {
+  admin: ['all'],
+  billing: ['all'],
+  receptionist: ['all'],
+  doctor: ['careTeam'],
+  nurse: ['careTeam', 'department'],
+  patient: [],
+};
+
+// How long an emergency override to a single patient record lasts
+const BREAK_GLASS_MINUTES = Number(process.env.BREAK_GLASS_MINUTES) || 60;
+
+module.exports = { ROLES, PERMISSIONS, PATIENT_SCOPES, BREAK_GLASS_MINUTES };
@@ -0,0 +1,19 @@
+// Per-measure limits for vital signs. `min`/`max` reject readings that cannot
+// be real (almost always typing errors); `low`/`high` bound the normal adult
+// range and `criticalLow`/`criticalHigh` mark values that need attention now.
+// BMI is computed from weight and height, never entered.
+const VITAL_RANGES = {
+  systolic: { unit: 'mmHg', min: 40, max: 300, low: 90, high: 140, criticalLow: 70, criticalHigh: 180 },
+  diastolic: { unit: 'mmHg', min: 20, max: 200, low: 60, high: 90, criticalLow: 40, criticalHigh: 120 },
+  pulse: { unit: 'bpm', min: 20, max: 250, low: 60, high: 100, criticalLow: 40, criticalHigh: 130 },
+  respiratoryRate: { unit: 'breaths/min', min: 4, max: 80, low: 12, high: 20, criticalLow: 8, criticalHigh: 30 },
+  temperature: { unit: '°C', min: 30, max: 45, low: 36.1, high: 37.8, criticalLow: 35, criticalHigh: 40 },
+  spo2: { unit: '%', min: 50, max: 100, low: 95, criticalLow: 90 },
+  weight: { unit: 'kg', min: 0.3, max: 400 },
+  height: { unit: 'cm', min: 20, max: 260 },
+  bmi: { unit: 'kg/m²', low: 18.5, high: 25, criticalLow: 16, criticalHigh: 40 },
+};
+
+const MEASURES = Object.keys(VITAL_RANGES).filter((measure) => measure !== 'bmi');
+
+module.exports = { VITAL_RANGES, MEASURES };
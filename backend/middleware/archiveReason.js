@@ -0,0 +1,9 @@
+// Archiving is an audited action; every archive needs a stated reason.
+const requireArchiveReason = (req, res, next) => {
+  const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+  if (!reason) return res.status(400).json({ message: 'A reason is required to archive this record' });
+  req.body.reason = reason;
+  next();
+};
+
+module.exports = { requireArchiveReason };
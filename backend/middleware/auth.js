@@ -1,17 +1,39 @@
 const jwt = require('jsonwebtoken');
+const Session = require('../models/session');
 
-module.exports = function (req, res, next) {
+module.exports = async function (req, res, next) {
   const token = req.header('Authorization');
 
   if (!token) {
     return res.status(401).json({ message: 'No token, authorization denied' });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token.split(' ')[1], process.env.JWT_SECRET);
-    req.user = decoded;
+    decoded = jwt.verify(token.split(' ')[1], process.env.JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ message: 'Token is not valid' });
+  }
+
+  // Signature alone is not enough: the session may have been logged out or
+  // the account disabled since the token was issued.
+  try {
+    const session = decoded.sid && await Session.findById(decoded.sid).populate('user');
+    if (!session || !session.isActive() || !session.user || !session.user.active) {
+      return res.status(401).json({ message: 'Token has been revoked' });
+    }
+
+    const { user } = session;
+    req.user = {
+      id: user._id,
+      role: user.role,
+      username: user.username,
+      department: user.department,
+      patient: user.patient,
+      sid: session._id,
+    };
     next();
   } catch (err) {
-    res.status(401).json({ message: 'Token is not valid' });
+    res.status(500).json({ message: err.message });
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const Patient = require('../models/patient');
+const { PERMISSIONS } = require('../config/roles');
+const { canAccessPatient, activeOverride } = require('../services/patientScope');
+const { resolveAlias } = require('../services/patientMerge');
+
+const denyAccess = (req, res) => res.status(403).json({
+  message: 'You are not on this patient\'s care team',
+  breakGlassAvailable: PERMISSIONS['patients:breakGlass'].includes(req.user.role),
+});
+
+// Care-team scope first; failing that, an active break-the-glass override,
+// in which case the request is appended to that override's log entry.
+const authorize = async (req, patient) => {
+  if (canAccessPatient(req.user, patient)) return true;
+
+  const override = await activeOverride(req.user, patient._id);
+  if (!override) return false;
+  await override.updateOne({ $push: { accesses: { method: req.method, path: req.originalUrl } } });
+  return true;
+};
+
+// Loads the patient named by req.params[param] into req.patient, enforcing
+// the caller's care-team scope. `by` picks the lookup field (_id or mrn).
+// Ids and MRNs of merged-away records resolve to the surviving patient.
+// Archived patients answer 410 unless `includeArchived` is set.
+// Must run after the auth middleware.
+const loadPatient = (param = 'id', { by = '_id', includeArchived = false } = {}) => async (req, res, next) => {
+  const value = String(req.params[param]);
+  if (by === '_id' && !mongoose.isValidObjectId(value)) return res.status(404).json({ message: 'Patient not found' });
+
+  try {
+    const found = await Patient.findOne({ [by]: by === 'mrn' ? value.toUpperCase() : value });
+    const patient = await resolveAlias(found);
+    if (!patient) return res.status(404).json({ message: 'Patient not found' });
+    if (!(await authorize(req, patient))) return denyAccess(req, res);
+    if (patient.archivedAt && !includeArchived) return res.status(410).json({ message: 'Patient has been archived' });
+    if (patient !== found) res.set('X-Merged-From', String(found._id));
+    patient.$locals.actor = req.user.id;
+    req.patient = patient;
+    next();
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// Same check for routes that receive a patient id in the body (appointments,
+// bills). A missing patientId is left for schema validation to reject; a
+// merged-away id is rewritten to the survivor's.
+const checkBodyPatient = async (req, res, next) => {
+  const { patientId } = req.body;
+  if (patientId === undefined) return next();
+  if (!mongoose.isValidObjectId(patientId)) return res.status(400).json({ message: 'Invalid patientId' });
+
+  try {
+    const patient = await resolveAlias(await Patient.findById(patientId));
+    if (!patient) return res.status(400).json({ message: 'Patient not found' });
+    if (patient.archivedAt) return res.status(400).json({ message: 'Patient has been archived' });
+    if (!(await authorize(req, patient))) return denyAccess(req, res);
+    req.body.patientId = patient._id;
+    next();
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+module.exports = { loadPatient, checkBodyPatient };
@@ -0,0 +1,20 @@
+const { PERMISSIONS } = require('../config/roles');
+
+// Must run after the auth middleware, which sets req.user.
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'No token, authorization denied' });
+  }
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({ message: 'Access denied' });
+  }
+  next();
+};
+
+const requirePermission = (permission) => {
+  const roles = PERMISSIONS[permission];
+  if (!roles) throw new Error(`Unknown permission: ${permission}`);
+  return requireRole(...roles);
+};
+
+module.exports = { requireRole, requirePermission };
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const archivable = require('./plugins/archivable');
+
+const MOVEMENT_TYPES = ['admit', 'transfer', 'discharge'];
+
+// One inpatient stay. Every bed change is appended to `movements`, so the
+// stay's full path through the hospital is kept on the record.
+const admissionSchema = new mongoose.Schema({
+  patient: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true },
+  status: { type: String, enum: ['admitted', 'discharged'], default: 'admitted' },
+  reason: { type: String, trim: true },
+  attendingDoctor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  currentBed: { type: mongoose.Schema.Types.ObjectId, ref: 'Bed', default: null },
+  admittedAt: { type: Date, default: Date.now },
+  admittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  dischargedAt: Date,
+  dischargedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  dischargeDisposition: { type: String, trim: true },
+  movements: [{
+    _id: false,
+    type: { type: String, enum: MOVEMENT_TYPES, required: true },
+    at: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    fromBed: { type: mongoose.Schema.Types.ObjectId, ref: 'Bed' },
+    toBed: { type: mongoose.Schema.Types.ObjectId, ref: 'Bed' },
+    note: { type: String, trim: true },
+  }],
+}, { timestamps: true });
+
+admissionSchema.plugin(archivable);
+
+// A patient can only be in one stay at a time.
+admissionSchema.index({ patient: 1 }, { unique: true, partialFilterExpression: { status: 'admitted' } });
+
+module.exports = mongoose.model('Admission', admissionSchema);
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const archivable = require('./plugins/archivable');
+
+// Portal requests start as 'requested' until the front desk confirms them.
+const APPOINTMENT_STATUSES = ['requested', 'scheduled', 'cancelled'];
 
 const appointmentSchema = new mongoose.Schema({
   patientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true },
@@ -6,6 +10,13 @@ const appointmentSchema = new mongoose.Schema({
   date: Date,
   time: String,
   notes: String,
+  status: { type: String, enum: APPOINTMENT_STATUSES, default: 'scheduled' },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  cancelledAt: Date,
+  cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  cancelReason: String,
 });
 
+appointmentSchema.plugin(archivable);
+
 module.exports = mongoose.model('Appointment', appointmentSchema);
\ No newline at end of file
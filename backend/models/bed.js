@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+const BED_STATUSES = ['available', 'occupied', 'maintenance'];
+
+// `occupant` is only ever set through the atomic claim in services/adt.js,
+// which is what keeps one patient per bed.
+const bedSchema = new mongoose.Schema({
+  ward: { type: mongoose.Schema.Types.ObjectId, ref: 'Ward', required: true },
+  room: { type: mongoose.Schema.Types.ObjectId, ref: 'Room', required: true },
+  label: { type: String, required: true, trim: true },
+  status: { type: String, enum: BED_STATUSES, default: 'available' },
+  occupant: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', default: null },
+  admission: { type: mongoose.Schema.Types.ObjectId, ref: 'Admission', default: null },
+}, { timestamps: true });
+
+bedSchema.index({ room: 1, label: 1 }, { unique: true });
+bedSchema.index({ ward: 1, status: 1 });
+
+module.exports = mongoose.model('Bed', bedSchema);
@@ -1,10 +1,22 @@
 const mongoose = require('mongoose');
+const archivable = require('./plugins/archivable');
+const { normalizeCode, isKnownCode } = require('../services/icd10');
 
 const billingSchema = new mongoose.Schema({
   patientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true },
   amount: Number,
   date: Date,
   description: String,
+  // ICD-10 codes for the diagnoses this bill is for
+  diagnoses: {
+    type: [{ type: String, set: normalizeCode }],
+    validate: {
+      validator: async (codes) => (await Promise.all(codes.map(isKnownCode))).every(Boolean),
+      message: 'Diagnoses must be known ICD-10 codes',
+    },
+  },
 });
 
+billingSchema.plugin(archivable);
+
 module.exports = mongoose.model('Billing', billingSchema);
\ No newline at end of file
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Dedicated log of emergency ("break the glass") overrides. Each entry grants
+// one user time-boxed access to one patient outside their normal scope and
+// records every request made under it for compliance review.
+const breakGlassAccessSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  patient: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true },
+  reason: { type: String, required: true, trim: true, minlength: 10, maxlength: 1000 },
+  grantedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  ip: String,
+  userAgent: String,
+  accesses: [{
+    _id: false,
+    at: { type: Date, default: Date.now },
+    method: String,
+    path: String,
+  }],
+  reviewedAt: Date,
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewNote: String,
+});
+
+breakGlassAccessSchema.index({ user: 1, patient: 1, expiresAt: -1 });
+breakGlassAccessSchema.index({ grantedAt: -1 });
+
+module.exports = mongoose.model('BreakGlassAccess', breakGlassAccessSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const archivable = require('./plugins/archivable');
+
+const NOTE_STATUSES = ['draft', 'signed'];
+
+// Fields that may still change once a note is signed: addenda, plus the
+// bookkeeping written by archiving.
+const MUTABLE_AFTER_SIGNING = ['addenda', 'archivedAt', 'archivedBy', 'archiveReason', 'archivedWith', 'updatedAt'];
+
+const addendumSchema = new mongoose.Schema({
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  text: { type: String, required: true, trim: true, maxlength: 10000 },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// SOAP-structured clinical documentation. Drafts are editable by their author;
+// signing freezes the note and later corrections go in addenda.
+const clinicalNoteSchema = new mongoose.Schema({
+  patient: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true },
+  appointment: { type: mongoose.Schema.Types.ObjectId, ref: 'Appointment' },
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  status: { type: String, enum: NOTE_STATUSES, default: 'draft' },
+  subjective: { type: String, trim: true },
+  objective: { type: String, trim: true },
+  assessment: { type: String, trim: true },
+  plan: { type: String, trim: true },
+  signedAt: Date,
+  addenda: [addendumSchema],
+}, { timestamps: true });
+
+clinicalNoteSchema.plugin(archivable);
+
+clinicalNoteSchema.index({ patient: 1, createdAt: -1 });
+clinicalNoteSchema.index({ appointment: 1 });
+
+clinicalNoteSchema.post('init', function () {
+  this.$locals.signedWhenLoaded = this.status === 'signed';
+});
+
+clinicalNoteSchema.pre('validate', function () {
+  if (this.status === 'signed' && !this.signedAt) this.signedAt = new Date();
+  if (this.status === 'signed' && !['subjective', 'objective', 'assessment', 'plan'].some((section) => this[section])) {
+    this.invalidate('status', 'A note cannot be signed without content');
+  }
+});
+
+// Backstop for the route checks: a signed note's content never changes.
+clinicalNoteSchema.pre('save', function () {
+  if (!this.$locals.signedWhenLoaded) return;
+  const changed = this.modifiedPaths({ includeChildren: false })
+    .filter((path) => !MUTABLE_AFTER_SIGNING.some((field) => path === field || path.startsWith(`${field}.`)));
+  if (changed.length) throw new Error(`Signed notes cannot be changed (${changed.join(', ')})`);
+});
+
+module.exports = mongoose.model('ClinicalNote', clinicalNoteSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Named monotonic sequences (e.g. MRNs). $inc on a single document is atomic,
+// so concurrent callers never receive the same value.
+const counterSchema = new mongoose.Schema({
+  _id: String,
+  seq: { type: Number, default: 0 },
+});
+
+// Reserves `count` consecutive values and returns the first one.
+counterSchema.statics.reserve = async function (name, count = 1) {
+  const counter = await this.findByIdAndUpdate(name, { $inc: { seq: count } }, { new: true, upsert: true });
+  return counter.seq - count + 1;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const archivable = require('./plugins/archivable');
+const { normalizeCode, isKnownCode } = require('../services/icd10');
+
+const SUMMARY_STATUSES = ['draft', 'signed'];
+
+const MUTABLE_AFTER_SIGNING = ['archivedAt', 'archivedBy', 'archiveReason', 'archivedWith', 'updatedAt'];
+
+// One per admission. Built from the stay's records as a draft, edited by the
+// doctor and then signed, after which it is frozen like a signed note.
+const dischargeSummarySchema = new mongoose.Schema({
+  admission: { type: mongoose.Schema.Types.ObjectId, ref: 'Admission', required: true, unique: true },
+  patient: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true },
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  status: { type: String, enum: SUMMARY_STATUSES, default: 'draft' },
+  admittedAt: { type: Date, required: true },
+  dischargedAt: { type: Date, required: true },
+  attendingDoctor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reasonForAdmission: { type: String, trim: true },
+  hospitalCourse: { type: String, trim: true, maxlength: 20000 },
+  diagnoses: [{
+    _id: false,
+    code: {
+      type: String,
+      set: normalizeCode,
+      validate: { validator: (code) => !code || isKnownCode(code), message: (props) => `Unknown ICD-10 code ${props.value}` },
+    },
+    description: { type: String, required: true, trim: true },
+  }],
+  procedures: [{
+    _id: false,
+    description: { type: String, required: true, trim: true },
+    date: Date,
+  }],
+  medications: [{
+    _id: false,
+    name: { type: String, required: true, trim: true },
+    dose: { type: String, trim: true },
+    route: { type: String, trim: true },
+    frequency: { type: String, trim: true },
+    instructions: { type: String, trim: true },
+  }],
+  followUp: [{
+    _id: false,
+    appointment: { type: mongoose.Schema.Types.ObjectId, ref: 'Appointment' },
+    date: Date,
+    time: String,
+    with: { type: String, trim: true },
+    instructions: { type: String, trim: true },
+  }],
+  disposition: { type: String, trim: true },
+  instructions: { type: String, trim: true, maxlength: 10000 },
+  signedAt: Date,
+  signedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+dischargeSummarySchema.plugin(archivable);
+
+dischargeSummarySchema.index({ patient: 1, dischargedAt: -1 });
+
+dischargeSummarySchema.post('init', function () {
+  this.$locals.signedWhenLoaded = this.status === 'signed';
+});
+
+dischargeSummarySchema.pre('validate', function () {
+  if (this.status === 'signed' && !this.signedAt) this.signedAt = new Date();
+  if (this.status === 'signed' && !this.diagnoses.length) {
+    this.invalidate('diagnoses', 'A discharge summary cannot be signed without a diagnosis');
+  }
+});
+
+dischargeSummarySchema.pre('save', function () {
+  if (!this.$locals.signedWhenLoaded) return;
+  const changed = this.modifiedPaths({ includeChildren: false })
+    .filter((path) => !MUTABLE_AFTER_SIGNING.some((field) => path === field || path.startsWith(`${field}.`)));
+  if (changed.length) throw new Error(`Signed discharge summaries cannot be changed (${changed.join(', ')})`);
+});
+
+module.exports = mongoose.model('DischargeSummary', dischargeSummarySchema);
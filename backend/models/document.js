@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const archivable = require('./plugins/archivable');
+const { DOCUMENT_CATEGORIES, ALLOWED_MIME_TYPES } = require('../config/documents');
+
+// Metadata for a file attached to a patient. The bytes live in the storage
+// backend named by `storage`, under `storageKey`.
+const documentSchema = new mongoose.Schema({
+  patient: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true },
+  category: { type: String, enum: DOCUMENT_CATEGORIES, required: true },
+  title: { type: String, trim: true, maxlength: 200 },
+  originalName: { type: String, required: true },
+  mimeType: { type: String, enum: ALLOWED_MIME_TYPES, required: true },
+  size: { type: Number, required: true },
+  checksum: { type: String, required: true },
+  storage: { type: String, required: true },
+  storageKey: { type: String, required: true },
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+}, { timestamps: true });
+
+documentSchema.plugin(archivable);
+
+documentSchema.index({ patient: 1, createdAt: -1 });
+
+documentSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.storage;
+    delete ret.storageKey;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model('Document', documentSchema);
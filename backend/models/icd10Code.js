@@ -0,0 +1,8 @@
+const mongoose = require('mongoose');
+
+const icd10CodeSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: { type: String, required: true, trim: true },
+});
+
+module.exports = mongoose.model('Icd10Code', icd10CodeSchema);
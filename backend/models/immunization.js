@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const archivable = require('./plugins/archivable');
+const { normalizeVaccine } = require('../services/immunizationSchedule');
+
+const SITES = ['left-deltoid', 'right-deltoid', 'left-thigh', 'right-thigh', 'oral', 'intranasal', 'other'];
+const ROUTES = ['im', 'sc', 'id', 'oral', 'intranasal'];
+
+// One administered dose. Vaccine codes match the schedule's series codes
+// (e.g. MMR, DTAP) but are not limited to them, so travel and other
+// off-schedule vaccines can be recorded too.
+const immunizationSchema = new mongoose.Schema({
+  patient: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true },
+  vaccine: { type: String, required: true, set: normalizeVaccine },
+  product: { type: String, trim: true },
+  doseNumber: { type: Number, required: true, min: 1, validate: Number.isInteger },
+  lot: { type: String, required: true, trim: true },
+  expiresOn: Date,
+  site: { type: String, enum: SITES },
+  route: { type: String, enum: ROUTES },
+  administeredAt: {
+    type: Date,
+    required: true,
+    validate: { validator: (value) => value <= new Date(), message: 'Administration date cannot be in the future' },
+  },
+  administeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  notes: { type: String, trim: true },
+}, { timestamps: true });
+
+immunizationSchema.plugin(archivable);
+
+immunizationSchema.index({ patient: 1, vaccine: 1, administeredAt: 1 });
+
+module.exports = mongoose.model('Immunization', immunizationSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const archivable = require('./plugins/archivable');
+const { findTest } = require('../services/labCatalogue');
+
+const PRIORITIES = ['routine', 'urgent', 'stat'];
+const LAB_STATUSES = ['ordered', 'collected', 'resulted', 'cancelled'];
+
+// Allowed next statuses; anything else is rejected by the routes.
+const LAB_TRANSITIONS = {
+  ordered: ['collected', 'cancelled'],
+  collected: ['resulted', 'cancelled'],
+  resulted: [],
+  cancelled: [],
+};
+
+const labOrderSchema = new mongoose.Schema({
+  patient: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true },
+  orderedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  tests: {
+    type: [{ type: String, uppercase: true, trim: true }],
+    validate: [
+      { validator: (codes) => codes.length > 0, message: 'At least one test is required' },
+      { validator: (codes) => codes.every((code) => findTest(code)), message: 'Unknown lab test code' },
+    ],
+  },
+  priority: { type: String, enum: PRIORITIES, default: 'routine' },
+  clinicalInfo: { type: String, trim: true },
+  status: { type: String, enum: LAB_STATUSES, default: 'ordered' },
+  collectedAt: Date,
+  collectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  resultedAt: Date,
+  cancelledAt: Date,
+  cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+labOrderSchema.plugin(archivable);
+
+labOrderSchema.index({ patient: 1, createdAt: -1 });
+labOrderSchema.index({ status: 1, priority: 1 });
+
+labOrderSchema.methods.canMoveTo = function (status) {
+  return LAB_TRANSITIONS[this.status].includes(status);
+};
+
+module.exports = mongoose.model('LabOrder', labOrderSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const archivable = require('./plugins/archivable');
+
+// One analyte value from a lab order. The reference range is copied from the
+// catalogue at the time of resulting so later range changes don't rewrite
+// history.
+const labResultSchema = new mongoose.Schema({
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'LabOrder', required: true },
+  patient: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true },
+  orderedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  test: { type: String, required: true },
+  analyte: { type: String, required: true },
+  name: String,
+  value: { type: Number, required: true },
+  unit: String,
+  referenceRange: {
+    low: Number,
+    high: Number,
+    criticalLow: Number,
+    criticalHigh: Number,
+  },
+  flag: { type: String, enum: ['LL', 'L', 'H', 'HH', null], default: null },
+  critical: { type: Boolean, default: false },
+  resultedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  reviewedAt: Date,
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+labResultSchema.plugin(archivable);
+
+labResultSchema.index({ order: 1 });
+labResultSchema.index({ orderedBy: 1, reviewedAt: 1, flag: 1 });
+
+module.exports = mongoose.model('LabResult', labResultSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Failed-login counters keyed by "user:<name>" or "ip:<address>". Documents
+// expire on their own once the failure window passes without new failures.
+const loginAttemptSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  failures: { type: Number, default: 0 },
+  lastFailureAt: Date,
+  lockedUntil: Date,
+  expiresAt: { type: Date, required: true },
+});
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
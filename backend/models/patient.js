@@ -1,10 +1,147 @@
 const mongoose = require('mongoose');
+const Counter = require('./counter');
+const archivable = require('./plugins/archivable');
+const { nameKeys } = require('../services/nameMatching');
+const { normalizeCode, isKnownCode } = require('../services/icd10');
+const { recordVersion } = require('../services/patientHistory');
+
+const SEXES = ['female', 'male', 'intersex', 'unknown'];
+const BLOOD_GROUPS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-', 'unknown'];
+const ALLERGY_SEVERITIES = ['mild', 'moderate', 'severe', 'unknown'];
+const PROBLEM_STATUSES = ['active', 'inactive', 'resolved'];
+const MEDICATION_STATUSES = ['active', 'stopped'];
+const PHONE_PATTERN = /^\+?[0-9 ().-]{7,20}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// MRN-0000042: zero-padded so numbers sort and read consistently at the front desk.
+const formatMrn = (seq) => `MRN-${String(seq).padStart(7, '0')}`;
+
+const addressSchema = new mongoose.Schema({
+  line1: { type: String, trim: true },
+  line2: { type: String, trim: true },
+  city: { type: String, trim: true },
+  state: { type: String, trim: true },
+  postalCode: { type: String, trim: true },
+  country: { type: String, trim: true },
+}, { _id: false });
+
+// Structured history. Each list is edited through its own sub-resource under
+// /api/patients/:id/ (see routes/patientRecords.js).
+const recordedBy = { type: mongoose.Schema.Types.ObjectId, ref: 'User' };
+
+const allergySchema = new mongoose.Schema({
+  substance: { type: String, required: true, trim: true },
+  reaction: { type: String, trim: true },
+  severity: { type: String, enum: ALLERGY_SEVERITIES, default: 'unknown' },
+  recordedBy,
+}, { timestamps: true });
+
+const problemSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    set: normalizeCode,
+    validate: { validator: isKnownCode, message: (props) => `Unknown ICD-10 code ${props.value}` },
+  },
+  description: { type: String, required: true, trim: true },
+  onset: Date,
+  status: { type: String, enum: PROBLEM_STATUSES, default: 'active' },
+  recordedBy,
+}, { timestamps: true });
+
+const medicationSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  dose: { type: String, trim: true },
+  route: { type: String, trim: true },
+  frequency: { type: String, trim: true },
+  startDate: Date,
+  endDate: Date,
+  status: { type: String, enum: MEDICATION_STATUSES, default: 'active' },
+  recordedBy,
+}, { timestamps: true });
 
 const patientSchema = new mongoose.Schema({
+  mrn: { type: String, unique: true, immutable: true },
   name: { type: String, required: true },
-  dob: Date,
+  // Phonetic keys of the name tokens, maintained on save for duplicate lookup
+  nameKeys: {
+    soundex: { type: [String], default: undefined },
+    metaphone: { type: [String], default: undefined },
+  },
+  dob: {
+    type: Date,
+    validate: {
+      validator: (value) => !value || value <= new Date(),
+      message: 'Date of birth cannot be in the future',
+    },
+  },
+  sex: { type: String, enum: SEXES, default: 'unknown' },
+  phone: { type: String, trim: true, match: [PHONE_PATTERN, 'Invalid phone number'] },
+  email: { type: String, trim: true, lowercase: true, match: [EMAIL_PATTERN, 'Invalid email address'] },
+  address: addressSchema,
+  emergencyContact: {
+    name: { type: String, trim: true },
+    relationship: { type: String, trim: true },
+    phone: { type: String, trim: true, match: [PHONE_PATTERN, 'Invalid emergency contact phone number'] },
+  },
+  insurance: {
+    provider: { type: String, trim: true },
+    policyNumber: { type: String, trim: true },
+    groupNumber: { type: String, trim: true },
+    holderName: { type: String, trim: true },
+    validUntil: Date,
+  },
+  bloodGroup: { type: String, enum: BLOOD_GROUPS, default: 'unknown' },
+  preferredLanguage: { type: String, trim: true },
   medicalHistory: String,
-  // ... other fields
+  allergies: [allergySchema],
+  problems: [problemSchema],
+  medications: [medicationSchema],
+  department: String,
+  careTeam: {
+    doctors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    nurses: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  },
+  // Set when this record was merged into another; the id stays resolvable as an alias.
+  mergedInto: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', default: null },
+  mergedAt: Date,
+}, { timestamps: true });
+
+patientSchema.plugin(archivable);
+
+patientSchema.index({ 'careTeam.doctors': 1 });
+patientSchema.index({ 'careTeam.nurses': 1 });
+patientSchema.index({ department: 1 });
+patientSchema.index({ 'nameKeys.metaphone': 1 });
+patientSchema.index({ dob: 1 });
+patientSchema.index({ mergedInto: 1 });
+patientSchema.index({ 'problems.code': 1 });
+
+patientSchema.pre('validate', async function () {
+  if (this.isModified('name')) this.nameKeys = nameKeys(this.name);
+  // MRNs are always system-issued; whatever the caller put there is replaced.
+  // Guarded so a second validate before the first save keeps the same number.
+  if (this.isNew && !this.$locals.mrnIssued) {
+    this.mrn = formatMrn(await Counter.reserve('mrn'));
+    this.$locals.mrnIssued = true;
+  }
+});
+
+// Every save is versioned with a field-level diff against the stored copy.
+// Routes put the acting user in $locals.actor (loadPatient does it).
+patientSchema.pre('save', async function () {
+  this.$locals.previous = this.isNew ? null : await this.constructor.findById(this._id).lean();
+});
+
+patientSchema.post('save', async function () {
+  await recordVersion(this, this.$locals.previous);
+});
+
+// insertMany skips save middleware but still validates each document, so the
+// validate hook above issues their MRNs; only the name keys are set here.
+patientSchema.pre('insertMany', function (next, docs) {
+  docs.forEach((doc) => { doc.nameKeys = nameKeys(doc.name); });
+  next();
 });
 
-module.exports = mongoose.model('Patient', patientSchema);
\ No newline at end of file
+module.exports = mongoose.model('Patient', patientSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Audit record of one patient merge, holding exactly what was moved so the
+// merge can be undone within the allowed window.
+const patientMergeSchema = new mongoose.Schema({
+  survivor: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true },
+  merged: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true },
+  performedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  reason: String,
+  moved: [{
+    _id: false,
+    model: String,
+    field: String,
+    ids: [mongoose.Schema.Types.ObjectId],
+  }],
+  embeddedCopied: [{
+    _id: false,
+    field: String,
+    ids: [mongoose.Schema.Types.ObjectId],
+  }],
+  careTeamAdded: {
+    doctors: [mongoose.Schema.Types.ObjectId],
+    nurses: [mongoose.Schema.Types.ObjectId],
+  },
+  undoDeadline: { type: Date, required: true },
+  undoneAt: Date,
+  undoneBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+patientMergeSchema.index({ merged: 1, undoneAt: 1 });
+
+module.exports = mongoose.model('PatientMerge', patientMergeSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// One saved change to a patient record: who made it, the field-level diff,
+// and the full tracked state afterwards so the version can be restored.
+const patientVersionSchema = new mongoose.Schema({
+  patient: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true },
+  version: { type: Number, required: true },
+  action: { type: String, enum: ['create', 'update', 'restore'], required: true },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  restoredFrom: Number,
+  changes: [{
+    _id: false,
+    path: String,
+    old: mongoose.Schema.Types.Mixed,
+    new: mongoose.Schema.Types.Mixed,
+  }],
+  snapshot: mongoose.Schema.Types.Mixed,
+}, { timestamps: { createdAt: 'changedAt', updatedAt: false } });
+
+patientVersionSchema.index({ patient: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('PatientVersion', patientVersionSchema);
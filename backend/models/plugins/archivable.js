@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Soft delete. Archived documents stay in their collection until the
+// retention purge removes them; routes filter on `archivedAt: null`.
+// `archivedWith` marks documents archived as part of their patient's
+// archive so that restoring the patient brings back exactly those.
+const archivable = (schema) => {
+  schema.add({
+    archivedAt: { type: Date, default: null },
+    archivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    archiveReason: { type: String, trim: true },
+    archivedWith: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient' },
+  });
+  schema.index({ archivedAt: 1 });
+
+  schema.methods.archive = function (user, reason) {
+    this.archivedAt = new Date();
+    this.archivedBy = user.id;
+    this.archiveReason = reason;
+    return this.save();
+  };
+
+  schema.methods.restore = function () {
+    this.archivedAt = null;
+    this.archivedBy = undefined;
+    this.archiveReason = undefined;
+    this.archivedWith = undefined;
+    return this.save();
+  };
+};
+
+module.exports = archivable;
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const archivable = require('./plugins/archivable');
+const { findDrug } = require('../services/drugCatalogue');
+
+const ROUTES = ['oral', 'sublingual', 'inhaled', 'topical', 'iv', 'im', 'sc', 'rectal', 'other'];
+const PRESCRIPTION_STATUSES = ['active', 'completed', 'cancelled'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const prescriptionSchema = new mongoose.Schema({
+  patient: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true },
+  prescriber: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Canonical catalogue name, e.g. "amoxicillin" for "Amoxil"
+  drug: {
+    type: String,
+    required: true,
+    set: (value) => (findDrug(value) ? findDrug(value).name : value),
+    validate: { validator: (value) => Boolean(findDrug(value)), message: (props) => `Unknown drug ${props.value}` },
+  },
+  dose: { type: String, required: true, trim: true },
+  route: { type: String, enum: ROUTES, default: 'oral' },
+  frequency: { type: String, required: true, trim: true },
+  durationDays: { type: Number, required: true, min: 1, max: 365, validate: Number.isInteger },
+  refills: { type: Number, default: 0, min: 0, max: 12, validate: Number.isInteger },
+  instructions: { type: String, trim: true },
+  startDate: { type: Date, default: Date.now },
+  endDate: Date,
+  status: { type: String, enum: PRESCRIPTION_STATUSES, default: 'active' },
+  // Non-blocking safety findings the prescriber saw when ordering
+  warnings: [{
+    _id: false,
+    type: { type: String },
+    severity: String,
+    with: String,
+    message: String,
+  }],
+  cancelledAt: Date,
+  cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  cancelReason: { type: String, trim: true },
+}, { timestamps: true });
+
+prescriptionSchema.plugin(archivable);
+
+prescriptionSchema.index({ patient: 1, status: 1 });
+
+prescriptionSchema.pre('validate', function () {
+  if (this.startDate && this.durationDays) {
+    this.endDate = new Date(this.startDate.getTime() + this.durationDays * DAY_MS);
+  }
+});
+
+module.exports = mongoose.model('Prescription', prescriptionSchema);
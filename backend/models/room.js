@@ -0,0 +1,10 @@
+const mongoose = require('mongoose');
+
+const roomSchema = new mongoose.Schema({
+  ward: { type: mongoose.Schema.Types.ObjectId, ref: 'Ward', required: true },
+  name: { type: String, required: true, trim: true },
+}, { timestamps: true });
+
+roomSchema.index({ ward: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Room', roomSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// One row per signed-in device. The refresh token itself is never stored,
+// only its hash; rotation replaces the hash on every refresh.
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  refreshTokenHash: { type: String, required: true, index: true },
+  previousTokenHash: { type: String, index: true },
+  expiresAt: { type: Date, required: true },
+  lastUsedAt: Date,
+  revokedAt: Date,
+  revokedReason: String,
+  userAgent: String,
+  ip: String,
+}, { timestamps: true });
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
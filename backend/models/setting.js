@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Small key/value store for policies that admins change at runtime.
+const settingSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  value: mongoose.Schema.Types.Mixed,
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+settingSchema.statics.getValue = async function (key, fallback) {
+  const setting = await this.findOne({ key });
+  return setting ? setting.value : fallback;
+};
+
+settingSchema.statics.setValue = function (key, value, updatedBy) {
+  return this.findOneAndUpdate({ key }, { value, updatedBy }, { new: true, upsert: true });
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -1,53 +1,81 @@
-const express = require('express');
-const router = express.Router();
-const Patient = require('../models/patient');
-const auth = require('../middleware/auth');
-
-router.get('/', auth, async (req, res) => {
-  try {
-    const patients = await Patient.find();
-    res.json(patients);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
-  }
-});
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { ROLES } = require('../config/roles');
+const { historySize } = require('../config/passwordPolicy');
 
-router.post('/', auth, async (req, res) => {
-  const patient = new Patient(req.body);
-  try {
-    const newPatient = await patient.save();
-    res.status(201).json(newPatient);
-  } catch (err) {
-    res.status(400).json({ message: err.message });
-  }
+const SALT_ROUNDS = 10;
+
+const userSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true, trim: true },
+  password: { type: String, required: true },
+  role: { type: String, enum: ROLES, required: true },
+  email: { type: String, trim: true, lowercase: true },
+  department: { type: String, trim: true },
+  active: { type: Boolean, default: true },
+  // Senior clinician who may add addenda to this user's signed notes
+  supervisor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  // The record a portal (role 'patient') account belongs to; staff have none
+  patient: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', default: null },
+  passwordHistory: { type: [String], default: [] },
+  passwordChangedAt: Date,
+  mfa: {
+    enabled: { type: Boolean, default: false },
+    secret: String,
+    pendingSecret: String,
+    recoveryCodes: { type: [String], default: [] },
+    lastUsedStep: { type: Number, default: -1 },
+    enrolledAt: Date,
+  },
+}, { timestamps: true });
+
+// One portal account per patient record.
+userSchema.index({ patient: 1 }, { unique: true, partialFilterExpression: { patient: { $type: 'objectId' } } });
+
+userSchema.pre('validate', function () {
+  if (this.role === 'patient' && !this.patient) this.invalidate('patient', 'Patient accounts must be linked to a patient record');
+  if (this.role !== 'patient' && this.patient) this.invalidate('patient', 'Only patient accounts can be linked to a patient record');
 });
 
-router.get('/:id', auth, async (req, res) => {
-  try {
-    const patient = await Patient.findById(req.params.id);
-    if (!patient) return res.status(404).json({ message: 'Patient not found' });
-    res.json(patient);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
-  }
+userSchema.pre('save', async function () {
+  if (!this.isModified('password')) return;
+  this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
 });
 
-router.put('/:id', auth, async (req, res) => {
-  try {
-    const patient = await Patient.findByIdAndUpdate(req.params.id, req.body, { new: true });
-    res.json(patient);
-  } catch (err) {
-    res.status(400).json({ message: err.message });
-  }
+// insertMany skips save middleware, so seeded users need hashing here too.
+userSchema.pre('insertMany', function (next, docs) {
+  Promise.all(docs.map(async (doc) => {
+    doc.password = await bcrypt.hash(doc.password, SALT_ROUNDS);
+  }))
+    .then(() => next())
+    .catch(next);
 });
 
-router.delete('/:id', auth, async (req, res) => {
-  try {
-    await Patient.findByIdAndDelete(req.params.id);
-    res.json({ message: 'Patient deleted' });
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+userSchema.methods.comparePassword = function (candidate) {
+  return bcrypt.compare(candidate, this.password);
+};
+
+// Replaces the password, keeping the outgoing hash so it cannot be reused.
+userSchema.methods.setPassword = function (plain) {
+  if (!this.isNew) {
+    this.passwordHistory = [this.password, ...this.passwordHistory].slice(0, historySize);
   }
+  this.password = plain;
+  this.passwordChangedAt = new Date();
+};
+
+userSchema.methods.isPasswordReused = async function (candidate) {
+  const hashes = [this.password, ...this.passwordHistory];
+  const matches = await Promise.all(hashes.map((hash) => bcrypt.compare(candidate, hash)));
+  return matches.some(Boolean);
+};
+
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.passwordHistory;
+    ret.mfa = { enabled: Boolean(ret.mfa && ret.mfa.enabled) };
+    return ret;
+  },
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = mongoose.model('User', userSchema);
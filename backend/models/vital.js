@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const archivable = require('./plugins/archivable');
+const { VITAL_RANGES, MEASURES } = require('../config/vitals');
+const { computeBmi, flagValue } = require('../services/vitals');
+
+const measureFields = Object.fromEntries(MEASURES.map((measure) => {
+  const { min, max, unit } = VITAL_RANGES[measure];
+  return [measure, {
+    type: Number,
+    min: [min, `${measure} must be at least ${min} ${unit}`],
+    max: [max, `${measure} must be at most ${max} ${unit}`],
+  }];
+}));
+
+// One set of observations taken together. BMI and flags are derived on save.
+const vitalSchema = new mongoose.Schema({
+  patient: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true },
+  takenAt: {
+    type: Date,
+    default: Date.now,
+    validate: {
+      validator: (value) => value <= new Date(Date.now() + 60 * 1000),
+      message: 'takenAt cannot be in the future',
+    },
+  },
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  ...measureFields,
+  bmi: Number,
+  flags: [{
+    _id: false,
+    measure: String,
+    value: Number,
+    level: { type: String, enum: ['critical-low', 'low', 'high', 'critical-high'] },
+  }],
+  notes: { type: String, trim: true },
+}, { timestamps: true });
+
+vitalSchema.plugin(archivable);
+
+vitalSchema.index({ patient: 1, takenAt: 1 });
+
+vitalSchema.pre('validate', function () {
+  if (!MEASURES.some((measure) => this[measure] !== undefined && this[measure] !== null)) {
+    this.invalidate('takenAt', 'At least one measurement is required');
+  }
+  if (this.systolic !== undefined && this.diastolic !== undefined && this.diastolic >= this.systolic) {
+    this.invalidate('diastolic', 'diastolic must be lower than systolic');
+  }
+
+  this.bmi = computeBmi(this.weight, this.height);
+  this.flags = Object.keys(VITAL_RANGES)
+    .map((measure) => ({ measure, value: this[measure], level: flagValue(measure, this[measure]) }))
+    .filter((flag) => flag.level);
+});
+
+module.exports = mongoose.model('Vital', vitalSchema);
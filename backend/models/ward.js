@@ -0,0 +1,9 @@
+const mongoose = require('mongoose');
+
+const wardSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true },
+  department: { type: String, trim: true },
+  active: { type: Boolean, default: true },
+}, { timestamps: true });
+
+module.exports = mongoose.model('Ward', wardSchema);
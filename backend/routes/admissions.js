@@ -0,0 +1,94 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router({ mergeParams: true });
+const Admission = require('../models/admission');
+const User = require('../models/user');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roles');
+const { loadPatient } = require('../middleware/patientAccess');
+const { AdtError, admit, transfer, discharge } = require('../services/adt');
+const summaryRoutes = require('./dischargeSummaries');
+
+// Mounted at /api/patients/:id/admissions.
+
+const loadAdmission = async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.admissionId)) return res.status(404).json({ message: 'Admission not found' });
+  try {
+    req.admission = await Admission.findOne({ _id: req.params.admissionId, patient: req.patient._id, archivedAt: null });
+    if (!req.admission) return res.status(404).json({ message: 'Admission not found' });
+    next();
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+const handleAdtError = (res, err) => {
+  if (err instanceof AdtError) return res.status(err.status).json({ message: err.message });
+  res.status(400).json({ message: err.message });
+};
+
+const populateBeds = (admission) => admission.populate([
+  { path: 'currentBed', select: 'label ward room', populate: [{ path: 'ward', select: 'name' }, { path: 'room', select: 'name' }] },
+  { path: 'movements.fromBed movements.toBed', select: 'label' },
+  { path: 'attendingDoctor admittedBy dischargedBy movements.by', select: 'username role' },
+]);
+
+router.get('/', auth, requirePermission('patients:read'), loadPatient(), async (req, res) => {
+  try {
+    const admissions = await Admission.find({ patient: req.patient._id, archivedAt: null }).sort({ admittedAt: -1 });
+    res.json(await Promise.all(admissions.map(populateBeds)));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.get('/:admissionId', auth, requirePermission('patients:read'), loadPatient(), loadAdmission, async (req, res) => {
+  try {
+    res.json(await populateBeds(req.admission));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// { bedId, attendingDoctor, reason }
+router.post('/', auth, requirePermission('adt:manage'), loadPatient(), async (req, res) => {
+  const { bedId, attendingDoctor, reason } = req.body;
+  if (!bedId) return res.status(400).json({ message: 'bedId is required' });
+  try {
+    if (attendingDoctor) {
+      const doctor = mongoose.isValidObjectId(attendingDoctor)
+        && await User.exists({ _id: attendingDoctor, role: 'doctor', active: true });
+      if (!doctor) return res.status(400).json({ message: 'attendingDoctor must be an active doctor' });
+    }
+    const admission = await admit({ patient: req.patient, bedId, user: req.user, attendingDoctor, reason });
+    res.status(201).json(admission);
+  } catch (err) {
+    handleAdtError(res, err);
+  }
+});
+
+// { bedId, note }
+router.post('/:admissionId/transfer', auth, requirePermission('adt:manage'), loadPatient(), loadAdmission,
+  async (req, res) => {
+    if (!req.body.bedId) return res.status(400).json({ message: 'bedId is required' });
+    try {
+      res.json(await transfer({ admission: req.admission, bedId: req.body.bedId, user: req.user, note: req.body.note }));
+    } catch (err) {
+      handleAdtError(res, err);
+    }
+  });
+
+// { disposition, note }
+router.post('/:admissionId/discharge', auth, requirePermission('adt:manage'), loadPatient(), loadAdmission,
+  async (req, res) => {
+    const { disposition, note } = req.body;
+    try {
+      res.json(await discharge({ admission: req.admission, user: req.user, disposition, note }));
+    } catch (err) {
+      handleAdtError(res, err);
+    }
+  });
+
+router.use('/:admissionId/summary', summaryRoutes);
+
+module.exports = router;
@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Appointment = require('../models/appointment');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roles');
+const { checkBodyPatient } = require('../middleware/patientAccess');
+const { requireArchiveReason } = require('../middleware/archiveReason');
+const { appointmentFilter, canAccessPatientId } = require('../services/patientScope');
+const { dateRange, parseListQuery, runListQuery, sendList, handleListErrors } = require('../services/listQuery');
+
+// What staff may set on a booking. Archiving and cancelling by the patient
+// have their own routes and are not writable here.
+const APPOINTMENT_FIELDS = ['patientId', 'doctorId', 'date', 'time', 'notes', 'status'];
+
+const pickAppointment = (body) => Object.fromEntries(APPOINTMENT_FIELDS
+  .filter((field) => body[field] !== undefined)
+  .map((field) => [field, body[field]]));
+
+const loadAppointment = async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Appointment not found' });
+  try {
+    const appointment = await Appointment.findById(req.params.id);
+    if (!appointment || appointment.archivedAt) return res.status(404).json({ message: 'Appointment not found' });
+
+    const isOwnBooking = String(appointment.doctorId) === String(req.user.id);
+    if (!isOwnBooking && !(await canAccessPatientId(req.user, appointment.patientId))) {
+      return res.status(403).json({ message: 'You are not on this patient\'s care team' });
+    }
+    req.appointment = appointment;
+    next();
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+const APPOINTMENT_SORT_FIELDS = { date: ['date', 'time'], created: '_id' };
+
+// ?patientId=&doctorId=&status=requested&from=&to=&sort=date_desc&page=&limit=
+router.get('/', auth, requirePermission('appointments:read'), handleListErrors(async (req, res) => {
+  const { patientId, doctorId, status, from, to } = req.query;
+  const filters = [await appointmentFilter(req.user), { archivedAt: null }];
+  if (patientId) filters.push({ patientId: String(patientId) });
+  if (doctorId) filters.push({ doctorId: String(doctorId) });
+  if (status) filters.push({ status: String(status) });
+  const date = dateRange(from, to);
+  if (date) filters.push({ date });
+
+  const options = parseListQuery(req.query, { sortFields: APPOINTMENT_SORT_FIELDS, defaultSort: 'date' });
+  const result = await runListQuery(Appointment, { $and: filters }, options, { populate: 'patientId doctorId' });
+  sendList(res, result, options);
+}));
+
+router.post('/', auth, requirePermission('appointments:write'), checkBodyPatient, async (req, res) => {
+  const appointment = new Appointment(pickAppointment(req.body));
+  try {
+    const newAppointment = await appointment.save();
+    res.status(201).json(newAppointment);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+router.get('/:id', auth, requirePermission('appointments:read'), loadAppointment, async (req, res) => {
+  try {
+    await req.appointment.populate('patientId doctorId');
+    res.json(req.appointment);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.put('/:id', auth, requirePermission('appointments:write'), loadAppointment, checkBodyPatient, async (req, res) => {
+  try {
+    const appointment = await Appointment.findByIdAndUpdate(req.params.id, pickAppointment(req.body), { new: true, runValidators: true });
+    res.json(appointment);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+router.delete('/:id', auth, requirePermission('appointments:delete'), requireArchiveReason, loadAppointment, async (req, res) => {
+  try {
+    await req.appointment.archive(req.user, req.body.reason);
+    res.json({ message: 'Appointment archived' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
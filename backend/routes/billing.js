@@ -1,4 +1,87 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Billing = require('../models/billing');
-const auth = require('../middleware/auth');
\ No newline at end of file
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roles');
+const { checkBodyPatient } = require('../middleware/patientAccess');
+const { requireArchiveReason } = require('../middleware/archiveReason');
+const { billingFilter, canAccessPatientId } = require('../services/patientScope');
+const { dateRange, parseListQuery, runListQuery, sendList, handleListErrors } = require('../services/listQuery');
+
+// Archive fields are left out on purpose: they only change through the
+// audited DELETE and the patient restore.
+const BILL_FIELDS = ['patientId', 'amount', 'date', 'description', 'diagnoses'];
+
+const pickBill = (body) => Object.fromEntries(BILL_FIELDS
+  .filter((field) => body[field] !== undefined)
+  .map((field) => [field, body[field]]));
+
+const loadBill = async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Bill not found' });
+  try {
+    const bill = await Billing.findById(req.params.id);
+    if (!bill || bill.archivedAt) return res.status(404).json({ message: 'Bill not found' });
+    if (!(await canAccessPatientId(req.user, bill.patientId))) {
+      return res.status(403).json({ message: 'You are not on this patient\'s care team' });
+    }
+    req.bill = bill;
+    next();
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+const BILLING_SORT_FIELDS = { date: 'date', amount: 'amount' };
+
+// ?patientId=&from=&to=&sort=date_desc&page=&limit=
+router.get('/', auth, requirePermission('billing:read'), handleListErrors(async (req, res) => {
+  const { patientId, from, to } = req.query;
+  const filters = [await billingFilter(req.user), { archivedAt: null }];
+  if (patientId) filters.push({ patientId: String(patientId) });
+  const date = dateRange(from, to);
+  if (date) filters.push({ date });
+
+  const options = parseListQuery(req.query, { sortFields: BILLING_SORT_FIELDS, defaultSort: 'date_desc' });
+  const result = await runListQuery(Billing, { $and: filters }, options, { populate: 'patientId' });
+  sendList(res, result, options);
+}));
+
+router.post('/', auth, requirePermission('billing:write'), checkBodyPatient, async (req, res) => {
+  const bill = new Billing(pickBill(req.body));
+  try {
+    const newBill = await bill.save();
+    res.status(201).json(newBill);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+router.get('/:id', auth, requirePermission('billing:read'), loadBill, async (req, res) => {
+  try {
+    await req.bill.populate('patientId');
+    res.json(req.bill);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.put('/:id', auth, requirePermission('billing:write'), loadBill, checkBodyPatient, async (req, res) => {
+  try {
+    const bill = await Billing.findByIdAndUpdate(req.params.id, pickBill(req.body), { new: true, runValidators: true });
+    res.json(bill);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+router.delete('/:id', auth, requirePermission('billing:delete'), requireArchiveReason, loadBill, async (req, res) => {
+  try {
+    await req.bill.archive(req.user, req.body.reason);
+    res.json({ message: 'Bill archived' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const BreakGlassAccess = require('../models/breakGlassAccess');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roles');
+const { dateRange, handleListErrors } = require('../services/listQuery');
+
+// Compliance report of every emergency override, newest first.
+router.get('/', auth, requirePermission('audit:read'), handleListErrors(async (req, res) => {
+  const filter = {};
+  const { user, patient, from, to, reviewed } = req.query;
+  if (user && mongoose.isValidObjectId(user)) filter.user = user;
+  if (patient && mongoose.isValidObjectId(patient)) filter.patient = patient;
+  const grantedAt = dateRange(from, to);
+  if (grantedAt) filter.grantedAt = grantedAt;
+  if (reviewed !== undefined) filter.reviewedAt = reviewed === 'true' ? { $ne: null } : null;
+
+  const entries = await BreakGlassAccess.find(filter)
+    .sort({ grantedAt: -1 })
+    .populate('user', 'username role department')
+    .populate('patient', 'name dob')
+    .populate('reviewedBy', 'username');
+  res.json(entries);
+}));
+
+router.post('/:id/review', auth, requirePermission('audit:read'), async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Override not found' });
+  try {
+    const entry = await BreakGlassAccess.findById(req.params.id);
+    if (!entry) return res.status(404).json({ message: 'Override not found' });
+
+    entry.reviewedAt = new Date();
+    entry.reviewedBy = req.user.id;
+    entry.reviewNote = req.body.note;
+    await entry.save();
+    res.json(entry);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+module.exports = router;
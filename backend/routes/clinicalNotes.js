@@ -0,0 +1,142 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router({ mergeParams: true });
+const ClinicalNote = require('../models/clinicalNote');
+const Appointment = require('../models/appointment');
+const User = require('../models/user');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roles');
+const { loadPatient } = require('../middleware/patientAccess');
+
+// Mounted at /api/patients/:id/notes.
+
+const SOAP_SECTIONS = ['subjective', 'objective', 'assessment', 'plan'];
+
+const pickSections = (body) => Object.fromEntries(SOAP_SECTIONS
+  .filter((section) => body[section] !== undefined)
+  .map((section) => [section, body[section]]));
+
+const isAuthor = (note, user) => String(note.author) === String(user.id);
+
+// Drafts are private to their author until signed.
+const visibleTo = (user) => ({ $or: [{ status: 'signed' }, { author: user.id }] });
+
+const loadNote = async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.noteId)) return res.status(404).json({ message: 'Note not found' });
+  try {
+    const note = await ClinicalNote.findOne({
+      $and: [{ _id: req.params.noteId, patient: req.patient._id, archivedAt: null }, visibleTo(req.user)],
+    });
+    if (!note) return res.status(404).json({ message: 'Note not found' });
+    req.note = note;
+    next();
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+const requireDraftAuthor = (req, res, next) => {
+  if (req.note.status === 'signed') {
+    return res.status(409).json({ message: 'Signed notes are locked; add an addendum instead' });
+  }
+  if (!isAuthor(req.note, req.user)) return res.status(403).json({ message: 'Only the author can edit a draft' });
+  next();
+};
+
+// ?appointment=&status=draft|signed
+router.get('/', auth, requirePermission('notes:read'), loadPatient(), async (req, res) => {
+  try {
+    const filters = [{ patient: req.patient._id, archivedAt: null }, visibleTo(req.user)];
+    if (req.query.appointment) {
+      if (!mongoose.isValidObjectId(req.query.appointment)) return res.status(400).json({ message: 'Invalid appointment id' });
+      filters.push({ appointment: req.query.appointment });
+    }
+    if (req.query.status) filters.push({ status: String(req.query.status) });
+    const notes = await ClinicalNote.find({ $and: filters })
+      .sort({ createdAt: -1 })
+      .populate('author addenda.author', 'username role');
+    res.json(notes);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// { appointment?, subjective, objective, assessment, plan, sign? }
+router.post('/', auth, requirePermission('notes:write'), loadPatient(), async (req, res) => {
+  const { appointment, sign } = req.body;
+  try {
+    if (appointment !== undefined) {
+      const linked = mongoose.isValidObjectId(appointment)
+        && await Appointment.exists({ _id: appointment, patientId: req.patient._id });
+      if (!linked) return res.status(400).json({ message: 'appointment must be one of this patient\'s appointments' });
+    }
+    const note = await ClinicalNote.create({
+      ...pickSections(req.body),
+      patient: req.patient._id,
+      appointment,
+      author: req.user.id,
+      status: sign ? 'signed' : 'draft',
+    });
+    res.status(201).json(note);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+router.get('/:noteId', auth, requirePermission('notes:read'), loadPatient(), loadNote, async (req, res) => {
+  try {
+    await req.note.populate('author addenda.author', 'username role');
+    res.json(req.note);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.put('/:noteId', auth, requirePermission('notes:write'), loadPatient(), loadNote, requireDraftAuthor, async (req, res) => {
+  try {
+    req.note.set(pickSections(req.body));
+    res.json(await req.note.save());
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+router.post('/:noteId/sign', auth, requirePermission('notes:write'), loadPatient(), loadNote, requireDraftAuthor, async (req, res) => {
+  try {
+    req.note.status = 'signed';
+    res.json(await req.note.save());
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Corrections to a signed note, by its author or the author's supervisor.
+router.post('/:noteId/addenda', auth, requirePermission('notes:write'), loadPatient(), loadNote, async (req, res) => {
+  const { note } = req;
+  if (note.status !== 'signed') return res.status(409).json({ message: 'Edit the draft directly; addenda are for signed notes' });
+  try {
+    if (!isAuthor(note, req.user)) {
+      const author = await User.findById(note.author).select('supervisor');
+      if (!author || String(author.supervisor) !== String(req.user.id)) {
+        return res.status(403).json({ message: 'Only the author or their supervisor can add an addendum' });
+      }
+    }
+    note.addenda.push({ author: req.user.id, text: req.body.text });
+    await note.save();
+    res.status(201).json(note.addenda[note.addenda.length - 1]);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Only unsigned drafts can be discarded; signed notes are part of the record.
+router.delete('/:noteId', auth, requirePermission('notes:write'), loadPatient(), loadNote, requireDraftAuthor, async (req, res) => {
+  try {
+    await req.note.deleteOne();
+    res.json({ message: 'Draft deleted' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
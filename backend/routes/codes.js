@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { searchCodes, MAX_SEARCH_LIMIT } = require('../services/icd10');
+
+// Autocomplete lookup: ?q=E11 (code prefix) or ?q=type 2 diabetes (keywords)
+router.get('/icd10', auth, async (req, res) => {
+  const limit = req.query.limit !== undefined ? Number(req.query.limit) : undefined;
+  if (limit !== undefined && !(Number.isInteger(limit) && limit > 0 && limit <= MAX_SEARCH_LIMIT)) {
+    return res.status(400).json({ message: `limit must be an integer between 1 and ${MAX_SEARCH_LIMIT}` });
+  }
+  try {
+    res.json(await searchCodes(req.query.q, limit ? { limit } : {}));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
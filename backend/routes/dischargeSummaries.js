@@ -0,0 +1,130 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router({ mergeParams: true });
+const Admission = require('../models/admission');
+const DischargeSummary = require('../models/dischargeSummary');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roles');
+const { loadPatient } = require('../middleware/patientAccess');
+const { buildDischargeSummary, toText, toPdf } = require('../services/dischargeSummary');
+
+// Mounted at /api/patients/:id/admissions/:admissionId/summary.
+
+const EDITABLE_FIELDS = [
+  'reasonForAdmission', 'hospitalCourse', 'diagnoses', 'procedures',
+  'medications', 'followUp', 'disposition', 'instructions',
+];
+
+const pickEditable = (body) => Object.fromEntries(EDITABLE_FIELDS
+  .filter((field) => body[field] !== undefined)
+  .map((field) => [field, body[field]]));
+
+const loadAdmission = async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.admissionId)) return res.status(404).json({ message: 'Admission not found' });
+  try {
+    req.admission = await Admission.findOne({ _id: req.params.admissionId, patient: req.patient._id, archivedAt: null });
+    if (!req.admission) return res.status(404).json({ message: 'Admission not found' });
+    next();
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+const loadSummary = async (req, res, next) => {
+  try {
+    req.summary = await DischargeSummary.findOne({ admission: req.admission._id, archivedAt: null });
+    if (!req.summary) return res.status(404).json({ message: 'No discharge summary for this admission' });
+    next();
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// The doctor who started the summary or the attending may edit and sign it.
+const requireDraftEditor = (req, res, next) => {
+  const { summary } = req;
+  if (summary.status === 'signed') return res.status(409).json({ message: 'Signed discharge summaries are locked' });
+  const editors = [summary.author, summary.attendingDoctor].filter(Boolean).map(String);
+  if (!editors.includes(String(req.user.id))) {
+    return res.status(403).json({ message: 'Only the author or attending doctor can edit this summary' });
+  }
+  next();
+};
+
+const canReadSummary = [auth, requirePermission('summaries:read'), loadPatient(), loadAdmission, loadSummary];
+const canWriteSummary = [auth, requirePermission('summaries:write'), loadPatient(), loadAdmission];
+
+router.get('/', canReadSummary, async (req, res) => {
+  try {
+    res.json(await req.summary.populate('author signedBy attendingDoctor', 'username role'));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Builds the draft from the stay's records; anything in the body overrides
+// the pre-filled values.
+router.post('/', canWriteSummary, async (req, res) => {
+  if (req.admission.status !== 'discharged') {
+    return res.status(409).json({ message: 'Discharge the patient before writing the summary' });
+  }
+  try {
+    if (await DischargeSummary.exists({ admission: req.admission._id })) {
+      return res.status(409).json({ message: 'A discharge summary already exists for this admission' });
+    }
+    const draft = await buildDischargeSummary(req.admission, req.user);
+    const summary = await DischargeSummary.create({ ...draft, ...pickEditable(req.body) });
+    res.status(201).json(summary);
+  } catch (err) {
+    res.status(err.code === 11000 ? 409 : 400).json({ message: err.message });
+  }
+});
+
+router.put('/', canWriteSummary, loadSummary, requireDraftEditor, async (req, res) => {
+  try {
+    req.summary.set(pickEditable(req.body));
+    res.json(await req.summary.save());
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+router.post('/sign', canWriteSummary, loadSummary, requireDraftEditor, async (req, res) => {
+  try {
+    req.summary.set({ status: 'signed', signedBy: req.user.id });
+    res.json(await req.summary.save());
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Discards a draft, e.g. to rebuild it after late results or bills arrive.
+router.delete('/', canWriteSummary, loadSummary, requireDraftEditor, async (req, res) => {
+  try {
+    await req.summary.deleteOne();
+    res.json({ message: 'Draft deleted' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ?format=pdf (default) | text
+router.get('/export', canReadSummary, async (req, res) => {
+  const format = req.query.format || 'pdf';
+  if (!['pdf', 'text'].includes(format)) return res.status(400).json({ message: 'format must be pdf or text' });
+  try {
+    await req.summary.populate('attendingDoctor signedBy', 'username');
+    const filename = `discharge-summary-${req.patient.mrn}-${req.summary.dischargedAt.toISOString().slice(0, 10)}`;
+    if (format === 'text') {
+      res.set('Content-Disposition', `attachment; filename="${filename}.txt"`);
+      return res.type('text/plain').send(toText(req.summary, req.patient));
+    }
+    const pdf = await toPdf(req.summary, req.patient);
+    res.set('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+    res.type('application/pdf').send(pdf);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
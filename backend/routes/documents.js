@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const router = express.Router({ mergeParams: true });
+const Document = require('../models/document');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roles');
+const { loadPatient } = require('../middleware/patientAccess');
+const { requireArchiveReason } = require('../middleware/archiveReason');
+const { ALLOWED_MIME_TYPES, DOCUMENT_CATEGORIES, DOCUMENT_STORAGE, MAX_DOCUMENT_BYTES } = require('../config/documents');
+const { getBackend, checksum, sniffMimeType } = require('../services/documentStorage');
+
+// Mounted at /api/patients/:id/documents.
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_DOCUMENT_BYTES, files: 1 },
+}).single('file');
+
+// Runs multer so that its errors come back as JSON like everything else.
+const receiveFile = (req, res, next) => upload(req, res, (err) => {
+  if (!err) return next();
+  const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+  res.status(tooLarge ? 413 : 400).json({
+    message: tooLarge ? `File exceeds the ${MAX_DOCUMENT_BYTES} byte limit` : err.message,
+  });
+});
+
+const loadDocument = async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.documentId)) return res.status(404).json({ message: 'Document not found' });
+  try {
+    const document = await Document.findOne({ _id: req.params.documentId, patient: req.patient._id, archivedAt: null });
+    if (!document) return res.status(404).json({ message: 'Document not found' });
+    req.document = document;
+    next();
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// ?category=consent
+router.get('/', auth, requirePermission('documents:read'), loadPatient(), async (req, res) => {
+  try {
+    const filter = { patient: req.patient._id, archivedAt: null };
+    if (req.query.category) filter.category = String(req.query.category);
+    const documents = await Document.find(filter).sort({ createdAt: -1 }).populate('uploadedBy', 'username role');
+    res.json(documents);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// multipart/form-data: file, category, title
+router.post('/', auth, requirePermission('documents:write'), loadPatient(), receiveFile, async (req, res) => {
+  const { file } = req;
+  const { category, title } = req.body;
+  if (!file) return res.status(400).json({ message: 'A file is required' });
+  if (!DOCUMENT_CATEGORIES.includes(category)) {
+    return res.status(400).json({ message: `category must be one of: ${DOCUMENT_CATEGORIES.join(', ')}` });
+  }
+  if (!ALLOWED_MIME_TYPES.includes(file.mimetype) || sniffMimeType(file.buffer) !== file.mimetype) {
+    return res.status(415).json({ message: `Only ${ALLOWED_MIME_TYPES.join(', ')} files are accepted` });
+  }
+
+  const storageKey = `${req.patient._id}/${crypto.randomUUID()}`;
+  const backend = getBackend();
+  try {
+    await backend.save(storageKey, file.buffer);
+    const document = await Document.create({
+      patient: req.patient._id,
+      category,
+      title,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      checksum: checksum(file.buffer),
+      storage: DOCUMENT_STORAGE,
+      storageKey,
+      uploadedBy: req.user.id,
+    });
+    res.status(201).json(document);
+  } catch (err) {
+    await backend.remove(storageKey).catch(() => {});
+    res.status(400).json({ message: err.message });
+  }
+});
+
+router.get('/:documentId', auth, requirePermission('documents:read'), loadPatient(), loadDocument, (req, res) => {
+  res.json(req.document);
+});
+
+// The checksum is re-verified on every download so a corrupted or altered
+// file is never served as part of the record.
+router.get('/:documentId/download', auth, requirePermission('documents:read'), loadPatient(), loadDocument, async (req, res) => {
+  try {
+    const { document } = req;
+    const buffer = await getBackend(document.storage).read(document.storageKey);
+    if (checksum(buffer) !== document.checksum) {
+      return res.status(500).json({ message: 'Stored document failed its integrity check' });
+    }
+    // attachment() writes an ASCII filename plus an RFC 5987 filename* for
+    // names outside ASCII, so browsers save the original name unescaped.
+    res.attachment(document.originalName);
+    res.set({
+      'Content-Type': document.mimeType,
+      'Content-Length': String(buffer.length),
+      'X-Content-SHA256': document.checksum,
+    });
+    res.send(buffer);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.delete('/:documentId', auth, requirePermission('documents:delete'), requireArchiveReason, loadPatient(), loadDocument, async (req, res) => {
+  try {
+    await req.document.archive(req.user, req.body.reason);
+    res.json({ message: 'Document archived' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { searchDrugs } = require('../services/drugCatalogue');
+
+// Catalogue lookup for the prescription form: ?q=amox
+router.get('/', auth, (req, res) => {
+  res.json(searchDrugs(req.query.q).map(({ name, drugClass, aliases }) => ({ name, drugClass, aliases })));
+});
+
+module.exports = router;
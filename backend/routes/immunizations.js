@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const Patient = require('../models/patient');
+const Immunization = require('../models/immunization');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roles');
+const { patientFilter } = require('../services/patientScope');
+const { normalizeVaccine, getSchedule, setSchedule, computeSchedule } = require('../services/immunizationSchedule');
+
+const BATCH_SIZE = 500;
+
+router.get('/schedule', auth, requirePermission('immunizations:read'), async (req, res) => {
+  try {
+    res.json(await getSchedule());
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.put('/schedule', auth, requirePermission('immunizations:configure'), async (req, res) => {
+  try {
+    const saved = await setSchedule(req.body, req.user.id);
+    res.json(saved.value);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Worklist of the caller's patients with overdue doses, most overdue first.
+// ?vaccine=MMR narrows it to one series; ?department= to one department.
+router.get('/overdue', auth, requirePermission('immunizations:read'), async (req, res) => {
+  try {
+    const schedule = await getSchedule();
+    const vaccine = req.query.vaccine ? normalizeVaccine(String(req.query.vaccine)) : null;
+    const filter = { ...patientFilter(req.user), archivedAt: null, dob: { $ne: null } };
+    if (req.query.department) filter.department = String(req.query.department);
+
+    const worklist = [];
+    const cursor = Patient.find(filter).select('mrn name dob department').lean().cursor({ batchSize: BATCH_SIZE });
+    let batch = [];
+    const flush = async () => {
+      const records = await Immunization.find({ patient: { $in: batch.map((p) => p._id) }, archivedAt: null })
+        .select('patient vaccine doseNumber administeredAt')
+        .lean();
+      for (const patient of batch) {
+        const overdue = computeSchedule(patient, records.filter((r) => String(r.patient) === String(patient._id)), schedule)
+          .filter((entry) => entry.status === 'overdue' && (!vaccine || entry.vaccine === vaccine));
+        if (overdue.length) worklist.push({ patient, overdue });
+      }
+      batch = [];
+    };
+    for await (const patient of cursor) {
+      batch.push(patient);
+      if (batch.length === BATCH_SIZE) await flush();
+    }
+    if (batch.length) await flush();
+
+    const mostOverdue = (item) => Math.max(...item.overdue.map((entry) => entry.overdueDays));
+    worklist.sort((a, b) => mostOverdue(b) - mostOverdue(a));
+    res.json(worklist);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
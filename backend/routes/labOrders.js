@@ -0,0 +1,139 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router({ mergeParams: true });
+const LabOrder = require('../models/labOrder');
+const LabResult = require('../models/labResult');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roles');
+const { loadPatient } = require('../middleware/patientAccess');
+const { findTest, flagResult } = require('../services/labCatalogue');
+
+// Mounted at /api/patients/:id/lab-orders.
+
+const loadOrder = async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.orderId)) return res.status(404).json({ message: 'Lab order not found' });
+  try {
+    req.order = await LabOrder.findOne({ _id: req.params.orderId, patient: req.patient._id, archivedAt: null });
+    if (!req.order) return res.status(404).json({ message: 'Lab order not found' });
+    next();
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+const requireTransition = (status) => (req, res, next) => {
+  if (!req.order.canMoveTo(status)) {
+    return res.status(409).json({ message: `Cannot move a ${req.order.status} order to ${status}` });
+  }
+  next();
+};
+
+// ?status=ordered|collected|resulted|cancelled
+router.get('/', auth, requirePermission('labs:read'), loadPatient(), async (req, res) => {
+  try {
+    const filter = { patient: req.patient._id, archivedAt: null };
+    if (req.query.status) filter.status = String(req.query.status);
+    const orders = await LabOrder.find(filter).sort({ createdAt: -1 }).populate('orderedBy', 'username role');
+    res.json(orders);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.post('/', auth, requirePermission('labs:order'), loadPatient(), async (req, res) => {
+  const { tests, priority, clinicalInfo } = req.body;
+  try {
+    const order = await LabOrder.create({
+      patient: req.patient._id,
+      orderedBy: req.user.id,
+      tests,
+      priority,
+      clinicalInfo,
+    });
+    res.status(201).json(order);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+router.get('/:orderId', auth, requirePermission('labs:read'), loadPatient(), loadOrder, async (req, res) => {
+  try {
+    await req.order.populate('orderedBy collectedBy', 'username role');
+    const results = await LabResult.find({ order: req.order._id, archivedAt: null }).sort({ test: 1, analyte: 1 });
+    res.json({ ...req.order.toJSON(), results });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.post('/:orderId/collect', auth, requirePermission('labs:process'), loadPatient(), loadOrder,
+  requireTransition('collected'), async (req, res) => {
+    try {
+      req.order.set({ status: 'collected', collectedAt: new Date(), collectedBy: req.user.id });
+      res.json(await req.order.save());
+    } catch (err) {
+      res.status(400).json({ message: err.message });
+    }
+  });
+
+// { results: [{ analyte: 'K', value: 6.8 }] } - every analyte must belong to
+// one of the ordered tests. Ranges and flags come from the catalogue.
+router.post('/:orderId/results', auth, requirePermission('labs:process'), loadPatient(), loadOrder,
+  requireTransition('resulted'), async (req, res) => {
+    const { order } = req;
+    const entries = Array.isArray(req.body.results) ? req.body.results : [];
+    if (!entries.length) return res.status(400).json({ message: 'results must be a non-empty array' });
+
+    const analytes = new Map();
+    order.tests.forEach((code) => findTest(code).analytes.forEach((analyte) => analytes.set(analyte.code, { test: code, analyte })));
+
+    const docs = [];
+    for (const { analyte: code, value } of entries) {
+      const match = analytes.get(String(code || '').toUpperCase());
+      if (!match) return res.status(400).json({ message: `${code} is not part of this order` });
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return res.status(400).json({ message: `${code} value must be a number` });
+      }
+      const { analyte } = match;
+      const { low, high, criticalLow, criticalHigh } = analyte;
+      const flag = flagResult(value, analyte);
+      docs.push({
+        order: order._id,
+        patient: order.patient,
+        orderedBy: order.orderedBy,
+        test: match.test,
+        analyte: analyte.code,
+        name: analyte.name,
+        value,
+        unit: analyte.unit,
+        referenceRange: { low, high, criticalLow, criticalHigh },
+        flag,
+        critical: flag === 'LL' || flag === 'HH',
+        resultedBy: req.user.id,
+      });
+    }
+
+    try {
+      const results = await LabResult.insertMany(docs);
+      order.set({ status: 'resulted', resultedAt: new Date() });
+      await order.save();
+      res.status(201).json({ ...order.toJSON(), results });
+    } catch (err) {
+      res.status(400).json({ message: err.message });
+    }
+  });
+
+router.post('/:orderId/cancel', auth, requirePermission('labs:order'), loadPatient(), loadOrder,
+  requireTransition('cancelled'), async (req, res) => {
+    if (String(req.order.orderedBy) !== String(req.user.id)) {
+      return res.status(403).json({ message: 'Only the ordering doctor can cancel this order' });
+    }
+    try {
+      req.order.set({ status: 'cancelled', cancelledAt: new Date(), cancelledBy: req.user.id });
+      res.json(await req.order.save());
+    } catch (err) {
+      res.status(400).json({ message: err.message });
+    }
+  });
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const LabResult = require('../models/labResult');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roles');
+const { labTests } = require('../services/labCatalogue');
+
+router.get('/tests', auth, (req, res) => {
+  res.json(labTests);
+});
+
+// Abnormal results on a doctor's orders that nobody has reviewed yet,
+// critical ones first. Doctors see their own; admins may pass ?doctor=<id>.
+router.get('/abnormal', auth, requirePermission('labs:review'), async (req, res) => {
+  let doctor = req.user.id;
+  if (req.query.doctor && req.query.doctor !== String(req.user.id)) {
+    if (req.user.role !== 'admin') return res.status(403).json({ message: 'Access denied' });
+    if (!mongoose.isValidObjectId(req.query.doctor)) return res.status(400).json({ message: 'Invalid doctor id' });
+    doctor = req.query.doctor;
+  }
+  try {
+    const results = await LabResult.find({ orderedBy: doctor, flag: { $ne: null }, reviewedAt: null, archivedAt: null })
+      .sort({ critical: -1, createdAt: 1 })
+      .populate('patient', 'mrn name dob');
+    res.json(results);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.post('/results/:resultId/review', auth, requirePermission('labs:review'), async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.resultId)) return res.status(404).json({ message: 'Result not found' });
+  try {
+    const result = await LabResult.findOne({ _id: req.params.resultId, archivedAt: null });
+    if (!result) return res.status(404).json({ message: 'Result not found' });
+    if (String(result.orderedBy) !== String(req.user.id) && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Only the ordering doctor can review this result' });
+    }
+    if (result.reviewedAt) return res.status(409).json({ message: 'Result has already been reviewed' });
+    result.set({ reviewedAt: new Date(), reviewedBy: req.user.id });
+    res.json(await result.save());
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const PatientVersion = require('../models/patientVersion');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roles');
+const { loadPatient } = require('../middleware/patientAccess');
+const { restoreVersion } = require('../services/patientHistory');
+const { parseListQuery, runListQuery, sendList, handleListErrors } = require('../services/listQuery');
+
+// Mounted at /api/patients/:id/history.
+
+const loadVersion = async (req, res, next) => {
+  const version = Number(req.params.version);
+  if (!Number.isInteger(version) || version < 1) return res.status(404).json({ message: 'Version not found' });
+  try {
+    req.version = await PatientVersion.findOne({ patient: req.patient._id, version })
+      .populate('changedBy', 'username role');
+    if (!req.version) return res.status(404).json({ message: 'Version not found' });
+    next();
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// Newest first; snapshots are left out of the list. ?page=&limit=
+router.get('/', auth, requirePermission('patients:read'), loadPatient(), handleListErrors(async (req, res) => {
+  const options = parseListQuery(req.query, { sortFields: { version: 'version' }, defaultSort: 'version_desc' });
+  const filter = { patient: req.patient._id };
+  const result = await runListQuery(PatientVersion, filter, options, {
+    select: '-snapshot',
+    populate: { path: 'changedBy', select: 'username role' },
+  });
+  sendList(res, result, options);
+}));
+
+router.get('/:version', auth, requirePermission('patients:read'), loadPatient(), loadVersion, (req, res) => {
+  res.json(req.version);
+});
+
+router.post('/:version/restore', auth, requirePermission('patients:restore'), loadPatient(), loadVersion, async (req, res) => {
+  try {
+    const patient = await restoreVersion(req.patient, req.version, req.user);
+    res.json(patient);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+module.exports = router;
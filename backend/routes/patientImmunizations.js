@@ -0,0 +1,106 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router({ mergeParams: true });
+const Immunization = require('../models/immunization');
+const User = require('../models/user');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roles');
+const { loadPatient } = require('../middleware/patientAccess');
+const { requireArchiveReason } = require('../middleware/archiveReason');
+const { normalizeVaccine, getSchedule, computeSchedule } = require('../services/immunizationSchedule');
+
+// Mounted at /api/patients/:id/immunizations.
+
+const loadImmunization = async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.immunizationId)) return res.status(404).json({ message: 'Immunization not found' });
+  try {
+    req.immunization = await Immunization.findOne({ _id: req.params.immunizationId, patient: req.patient._id, archivedAt: null });
+    if (!req.immunization) return res.status(404).json({ message: 'Immunization not found' });
+    next();
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// ?vaccine=MMR
+router.get('/', auth, requirePermission('immunizations:read'), loadPatient(), async (req, res) => {
+  try {
+    const filter = { patient: req.patient._id, archivedAt: null };
+    if (req.query.vaccine) filter.vaccine = normalizeVaccine(String(req.query.vaccine));
+    const records = await Immunization.find(filter)
+      .sort({ administeredAt: -1 })
+      .populate('administeredBy', 'username role');
+    res.json(records);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Due, overdue and upcoming doses for this patient under the current schedule.
+router.get('/schedule', auth, requirePermission('immunizations:read'), loadPatient(), async (req, res) => {
+  if (!req.patient.dob) return res.status(409).json({ message: 'Patient has no date of birth to schedule from' });
+  try {
+    const [schedule, records] = await Promise.all([
+      getSchedule(),
+      Immunization.find({ patient: req.patient._id, archivedAt: null }).lean(),
+    ]);
+    res.json({ patient: req.patient._id, dob: req.patient.dob, series: computeSchedule(req.patient, records, schedule) });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// { vaccine, lot, doseNumber?, product, expiresOn, site, route, administeredAt?, administeredBy?, notes }
+// doseNumber defaults to the next dose of that vaccine; administeredBy to the caller.
+router.post('/', auth, requirePermission('immunizations:write'), loadPatient(), async (req, res) => {
+  const { vaccine, product, lot, expiresOn, site, route, notes } = req.body;
+  const administeredAt = req.body.administeredAt ? new Date(req.body.administeredAt) : new Date();
+  const administeredBy = req.body.administeredBy || req.user.id;
+  try {
+    if (expiresOn && new Date(expiresOn) < administeredAt) {
+      return res.status(400).json({ message: 'The lot had expired on the administration date' });
+    }
+    if (String(administeredBy) !== String(req.user.id)) {
+      const staff = mongoose.isValidObjectId(administeredBy) && await User.exists({ _id: administeredBy, active: true });
+      if (!staff) return res.status(400).json({ message: 'administeredBy must be an active user' });
+    }
+    let { doseNumber } = req.body;
+    if (doseNumber === undefined && vaccine) {
+      doseNumber = await Immunization.countDocuments({
+        patient: req.patient._id,
+        vaccine: normalizeVaccine(vaccine),
+        archivedAt: null,
+      }) + 1;
+    }
+    const record = await Immunization.create({
+      patient: req.patient._id,
+      vaccine,
+      product,
+      doseNumber,
+      lot,
+      expiresOn,
+      site,
+      route,
+      administeredAt,
+      administeredBy,
+      recordedBy: req.user.id,
+      notes,
+    });
+    res.status(201).json(record);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Recorded in error; the entry is archived, not deleted.
+router.delete('/:immunizationId', auth, requirePermission('immunizations:write'), requireArchiveReason, loadPatient(),
+  loadImmunization, async (req, res) => {
+    try {
+      await req.immunization.archive(req.user, req.body.reason);
+      res.json({ message: 'Immunization archived' });
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  });
+
+module.exports = router;
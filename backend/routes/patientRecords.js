@@ -0,0 +1,65 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roles');
+const { loadPatient } = require('../middleware/patientAccess');
+
+// CRUD for one embedded list on the patient (allergies, problems,
+// medications). Mounted by routes/patients.js at /:id/<field>.
+const patientRecordRouter = (field, label) => {
+  const router = express.Router({ mergeParams: true });
+
+  const editableFields = (body) => {
+    const { _id, recordedBy, createdAt, updatedAt, ...fields } = body;
+    return fields;
+  };
+
+  const loadItem = (req, res, next) => {
+    const item = req.patient[field].id(req.params.itemId);
+    if (!item) return res.status(404).json({ message: `${label} not found` });
+    req.item = item;
+    next();
+  };
+
+  router.get('/', auth, requirePermission('patients:read'), loadPatient(), (req, res) => {
+    res.json(req.patient[field]);
+  });
+
+  router.post('/', auth, requirePermission('clinical:write'), loadPatient(), async (req, res) => {
+    try {
+      const item = req.patient[field].create({ ...editableFields(req.body), recordedBy: req.user.id });
+      req.patient[field].push(item);
+      await req.patient.save();
+      res.status(201).json(item);
+    } catch (err) {
+      res.status(400).json({ message: err.message });
+    }
+  });
+
+  router.get('/:itemId', auth, requirePermission('patients:read'), loadPatient(), loadItem, (req, res) => {
+    res.json(req.item);
+  });
+
+  router.put('/:itemId', auth, requirePermission('clinical:write'), loadPatient(), loadItem, async (req, res) => {
+    try {
+      req.item.set(editableFields(req.body));
+      await req.patient.save();
+      res.json(req.item);
+    } catch (err) {
+      res.status(400).json({ message: err.message });
+    }
+  });
+
+  router.delete('/:itemId', auth, requirePermission('clinical:write'), loadPatient(), loadItem, async (req, res) => {
+    try {
+      req.item.deleteOne();
+      await req.patient.save();
+      res.json({ message: `${label} removed` });
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = patientRecordRouter;
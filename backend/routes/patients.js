@@ -0,0 +1,267 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Patient = require('../models/patient');
+const PatientMerge = require('../models/patientMerge');
+const User = require('../models/user');
+const BreakGlassAccess = require('../models/breakGlassAccess');
+const Admission = require('../models/admission');
+const patientRecordRouter = require('./patientRecords');
+const vitalRoutes = require('./vitals');
+const documentRoutes = require('./documents');
+const historyRoutes = require('./patientHistory');
+const noteRoutes = require('./clinicalNotes');
+const prescriptionRoutes = require('./prescriptions');
+const labOrderRoutes = require('./labOrders');
+const admissionRoutes = require('./admissions');
+const immunizationRoutes = require('./patientImmunizations');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roles');
+const { loadPatient } = require('../middleware/patientAccess');
+const { requireArchiveReason } = require('../middleware/archiveReason');
+const { patientFilter, canAccessPatient } = require('../services/patientScope');
+const { MergeError, mergePatients, undoMerge, resolveAlias } = require('../services/patientMerge');
+const { findLikelyDuplicates, duplicateReport, DEFAULT_THRESHOLD } = require('../services/duplicateDetection');
+const { containsText, parseListQuery, runListQuery, sendList, handleListErrors } = require('../services/listQuery');
+const { archivePatient, restorePatient } = require('../services/archive');
+const { normalizeCode } = require('../services/icd10');
+const { BREAK_GLASS_MINUTES, PERMISSIONS } = require('../config/roles');
+
+// Written only by the server (care-team and department assignment, clinical
+// sub-resources, archiving, merging, MRN issue and name keys); never taken
+// from a create or update body.
+const PROTECTED_FIELDS = [
+  '_id', 'mrn', 'nameKeys', 'department', 'careTeam', 'allergies', 'problems', 'medications',
+  'archivedAt', 'archivedBy', 'archiveReason', 'archivedWith',
+  'mergedInto', 'mergedAt',
+];
+
+const editableFields = (body) => Object.fromEntries(Object.entries(body || {})
+  .filter(([field]) => !PROTECTED_FIELDS.includes(field)));
+
+const PATIENT_SORT_FIELDS = { name: 'name', dob: 'dob', mrn: 'mrn', created: 'createdAt' };
+
+// ?name=alice&condition=asthma&department=&sex=&sort=dob_desc&page=1&limit=20
+// Admins can pass ?archived=true to list archived patients instead.
+router.get('/', auth, requirePermission('patients:read'), handleListErrors(async (req, res) => {
+  const { name, condition, department, sex } = req.query;
+  const archived = req.query.archived === 'true';
+  if (archived && !PERMISSIONS['patients:restore'].includes(req.user.role)) {
+    return res.status(403).json({ message: 'Access denied' });
+  }
+  const filters = [patientFilter(req.user), { archivedAt: archived ? { $ne: null } : null }];
+  if (name) filters.push({ name: containsText(name) });
+  // condition matches the problem list by ICD code or description, falling
+  // back to the free-text history for records that predate the problem list
+  if (condition) {
+    filters.push({
+      $or: [
+        { 'problems.code': normalizeCode(String(condition)) },
+        { 'problems.description': containsText(condition) },
+        { medicalHistory: containsText(condition) },
+      ],
+    });
+  }
+  if (department) filters.push({ department: String(department) });
+  if (sex) filters.push({ sex: String(sex) });
+
+  const options = parseListQuery(req.query, { sortFields: PATIENT_SORT_FIELDS, defaultSort: 'name' });
+  const result = await runListQuery(Patient, { $and: filters }, options);
+  sendList(res, result, options);
+}));
+
+router.post('/', auth, requirePermission('patients:write'), async (req, res) => {
+  const patient = new Patient(editableFields(req.body));
+  patient.$locals.actor = req.user.id;
+  // Clinicians who register a patient are put on the care team so they keep access to the record.
+  if (req.user.role === 'doctor') patient.careTeam.doctors.push(req.user.id);
+  if (req.user.role === 'nurse') patient.careTeam.nurses.push(req.user.id);
+  if (!patient.department && req.user.department) patient.department = req.user.department;
+  try {
+    const newPatient = await patient.save();
+    // Registration still goes through; staff decide whether to merge later.
+    const matches = await findLikelyDuplicates(newPatient, {
+      scopeFilter: { ...patientFilter(req.user), archivedAt: null },
+      excludeId: newPatient._id,
+    });
+    const body = newPatient.toJSON();
+    if (matches.length) body.possibleDuplicates = matches;
+    res.status(201).json(body);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Candidate duplicate pairs for review, e.g. ?threshold=0.85
+router.get('/duplicates', auth, requirePermission('patients:dedupe'), async (req, res) => {
+  const threshold = req.query.threshold !== undefined ? Number(req.query.threshold) : DEFAULT_THRESHOLD;
+  if (!(threshold > 0 && threshold <= 1)) {
+    return res.status(400).json({ message: 'threshold must be between 0 and 1' });
+  }
+  try {
+    const scopeFilter = { ...patientFilter(req.user), archivedAt: null };
+    res.json(await duplicateReport({ scopeFilter, threshold }));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+const sendMergeError = (res, err) => {
+  if (err instanceof MergeError) return res.status(err.status).json({ message: err.message });
+  res.status(500).json({ message: err.message });
+};
+
+// Merge history, newest first; ?patient= matches either side of a merge.
+router.get('/merges', auth, requirePermission('patients:merge'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.patient) {
+      if (!mongoose.isValidObjectId(req.query.patient)) return res.status(400).json({ message: 'Invalid patient id' });
+      filter.$or = [{ survivor: req.query.patient }, { merged: req.query.patient }];
+    }
+    const merges = await PatientMerge.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('survivor merged', 'mrn name dob')
+      .populate('performedBy undoneBy', 'username role');
+    res.json(merges);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.post('/merges/:mergeId/undo', auth, requirePermission('patients:merge'), async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.mergeId)) return res.status(404).json({ message: 'Merge not found' });
+  try {
+    const merge = await undoMerge({ mergeId: req.params.mergeId, user: req.user });
+    res.json({ message: 'Merge undone', merge });
+  } catch (err) {
+    sendMergeError(res, err);
+  }
+});
+
+router.get('/mrn/:mrn', auth, requirePermission('patients:read'), loadPatient('mrn', { by: 'mrn' }), (req, res) => {
+  res.json(req.patient);
+});
+
+router.get('/:id', auth, requirePermission('patients:read'), loadPatient(), (req, res) => {
+  res.json(req.patient);
+});
+
+router.put('/:id', auth, requirePermission('patients:write'), loadPatient(), async (req, res) => {
+  try {
+    req.patient.set(editableFields(req.body));
+    const patient = await req.patient.save();
+    res.json(patient);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+const staffIdsWithRole = async (ids, role) => {
+  const unique = [...new Set((ids || []).map(String))];
+  const count = await User.countDocuments({ _id: { $in: unique }, role, active: true });
+  return count === unique.length ? unique : null;
+};
+
+router.put('/:id/care-team', auth, requirePermission('patients:assign'), loadPatient(), async (req, res) => {
+  try {
+    const { doctors, nurses, department } = req.body;
+    const patient = req.patient;
+
+    if (doctors !== undefined) {
+      const ids = await staffIdsWithRole(doctors, 'doctor');
+      if (!ids) return res.status(400).json({ message: 'doctors must be active users with the doctor role' });
+      patient.careTeam.doctors = ids;
+    }
+    if (nurses !== undefined) {
+      const ids = await staffIdsWithRole(nurses, 'nurse');
+      if (!ids) return res.status(400).json({ message: 'nurses must be active users with the nurse role' });
+      patient.careTeam.nurses = ids;
+    }
+    if (department !== undefined) patient.department = department;
+
+    await patient.save();
+    await patient.populate('careTeam.doctors careTeam.nurses', 'username role department');
+    res.json(patient);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Folds the patient in body.sourceId into :id. The source keeps its id and
+// MRN as aliases of :id until the merge is undone.
+router.post('/:id/merge', auth, requirePermission('patients:merge'), async (req, res) => {
+  const { sourceId, reason } = req.body;
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Patient not found' });
+  if (!mongoose.isValidObjectId(sourceId)) return res.status(400).json({ message: 'sourceId must be a patient id' });
+  try {
+    const merge = await mergePatients({ survivorId: req.params.id, mergedId: sourceId, user: req.user, reason });
+    const survivor = await Patient.findById(merge.survivor);
+    res.status(201).json({ message: 'Patients merged', merge, patient: survivor });
+  } catch (err) {
+    sendMergeError(res, err);
+  }
+});
+
+// Emergency access to a record outside the caller's care team. Deliberately
+// skips loadPatient; the grant is time-boxed and every use is logged.
+router.post('/:id/break-glass', auth, requirePermission('patients:breakGlass'), async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Patient not found' });
+  try {
+    const patient = await resolveAlias(await Patient.findById(req.params.id));
+    if (!patient) return res.status(404).json({ message: 'Patient not found' });
+    if (canAccessPatient(req.user, patient)) {
+      return res.status(400).json({ message: 'You already have access to this patient' });
+    }
+
+    const grant = await BreakGlassAccess.create({
+      user: req.user.id,
+      patient: patient._id,
+      reason: req.body.reason,
+      expiresAt: new Date(Date.now() + BREAK_GLASS_MINUTES * 60 * 1000),
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+    });
+    res.status(201).json({ message: 'Emergency access granted', expiresAt: grant.expiresAt, grantId: grant._id });
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+router.use('/:id/allergies', patientRecordRouter('allergies', 'Allergy'));
+router.use('/:id/problems', patientRecordRouter('problems', 'Problem'));
+router.use('/:id/medications', patientRecordRouter('medications', 'Medication'));
+router.use('/:id/vitals', vitalRoutes);
+router.use('/:id/documents', documentRoutes);
+router.use('/:id/history', historyRoutes);
+router.use('/:id/notes', noteRoutes);
+router.use('/:id/prescriptions', prescriptionRoutes);
+router.use('/:id/lab-orders', labOrderRoutes);
+router.use('/:id/admissions', admissionRoutes);
+router.use('/:id/immunizations', immunizationRoutes);
+
+// Archives rather than deletes: records must be retained, so the patient and
+// their appointments and bills are hidden until restored or purged.
+router.delete('/:id', auth, requirePermission('patients:delete'), requireArchiveReason, loadPatient(), async (req, res) => {
+  try {
+    if (await Admission.exists({ patient: req.patient._id, status: 'admitted' })) {
+      return res.status(409).json({ message: 'Discharge the patient before archiving' });
+    }
+    await archivePatient(req.patient, req.user, req.body.reason);
+    res.json({ message: 'Patient archived', archivedAt: req.patient.archivedAt });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.post('/:id/restore', auth, requirePermission('patients:restore'), loadPatient('id', { includeArchived: true }), async (req, res) => {
+  if (!req.patient.archivedAt) return res.status(400).json({ message: 'Patient is not archived' });
+  try {
+    const patient = await restorePatient(req.patient);
+    res.json(patient);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
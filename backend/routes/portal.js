@@ -0,0 +1,148 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Patient = require('../models/patient');
+const Appointment = require('../models/appointment');
+const Billing = require('../models/billing');
+const User = require('../models/user');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roles');
+const { resolveAlias } = require('../services/patientMerge');
+
+// Self-service API for patient accounts. Every handler works on the caller's
+// own linked record only: no route takes a patient id, so there is nothing
+// to point at someone else's data.
+
+const DEMOGRAPHIC_FIELDS = [
+  'mrn', 'name', 'dob', 'sex', 'phone', 'email', 'address', 'emergencyContact', 'preferredLanguage',
+];
+
+const pick = (source, fields) => Object.fromEntries(fields.map((field) => [field, source[field]]));
+
+// Staff notes stay internal; patients see when, with whom and the status.
+const portalAppointment = (appointment) => ({
+  _id: appointment._id,
+  date: appointment.date,
+  time: appointment.time,
+  status: appointment.status,
+  doctor: appointment.doctorId ? { _id: appointment.doctorId._id, username: appointment.doctorId.username } : null,
+  cancelledAt: appointment.cancelledAt,
+});
+
+// Follows merges, so an account linked to a record that was later merged
+// keeps working against the surviving record.
+const loadOwnPatient = async (req, res, next) => {
+  try {
+    const linked = req.user.patient && await Patient.findById(req.user.patient);
+    const patient = await resolveAlias(linked);
+    if (!patient || patient.archivedAt) return res.status(404).json({ message: 'No patient record is linked to this account' });
+    req.patient = patient;
+    next();
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+const portalAccess = [auth, requirePermission('portal:access'), loadOwnPatient];
+
+router.get('/me', portalAccess, (req, res) => {
+  const { insurance = {} } = req.patient;
+  res.json({
+    ...pick(req.patient, DEMOGRAPHIC_FIELDS),
+    insurance: { provider: insurance.provider, policyNumber: insurance.policyNumber, validUntil: insurance.validUntil },
+  });
+});
+
+// Doctors a patient may request an appointment with.
+router.get('/doctors', portalAccess, async (req, res) => {
+  try {
+    res.json(await User.find({ role: 'doctor', active: true }).select('username').sort('username'));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ?upcoming=true limits the list to appointments from today on.
+router.get('/appointments', portalAccess, async (req, res) => {
+  try {
+    const filter = { patientId: req.patient._id, archivedAt: null };
+    if (req.query.upcoming === 'true') {
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      filter.date = { $gte: today };
+    }
+    const appointments = await Appointment.find(filter).sort({ date: 1, time: 1 }).populate('doctorId', 'username');
+    res.json(appointments.map(portalAppointment));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// { doctorId, date, time, reason } - lands as a request for the front desk to confirm.
+router.post('/appointments', portalAccess, async (req, res) => {
+  const { doctorId, date, time, reason } = req.body;
+  const when = new Date(date);
+  if (!date || Number.isNaN(when.getTime()) || when <= new Date()) {
+    return res.status(400).json({ message: 'date must be in the future' });
+  }
+  try {
+    const doctor = mongoose.isValidObjectId(doctorId)
+      && await User.findOne({ _id: doctorId, role: 'doctor', active: true }).select('username');
+    if (!doctor) return res.status(400).json({ message: 'doctorId must be an active doctor' });
+    const appointment = await Appointment.create({
+      patientId: req.patient._id,
+      doctorId: doctor._id,
+      date: when,
+      time,
+      notes: reason,
+      status: 'requested',
+      requestedBy: req.user.id,
+    });
+    appointment.doctorId = doctor;
+    res.status(201).json(portalAppointment(appointment));
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+router.post('/appointments/:appointmentId/cancel', portalAccess, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.appointmentId)) return res.status(404).json({ message: 'Appointment not found' });
+  try {
+    const appointment = await Appointment.findOne({
+      _id: req.params.appointmentId,
+      patientId: req.patient._id,
+      archivedAt: null,
+    }).populate('doctorId', 'username');
+    if (!appointment) return res.status(404).json({ message: 'Appointment not found' });
+    if (appointment.status === 'cancelled') return res.status(409).json({ message: 'Appointment is already cancelled' });
+    if (appointment.date && appointment.date <= new Date()) {
+      return res.status(409).json({ message: 'Past appointments cannot be cancelled' });
+    }
+    appointment.set({
+      status: 'cancelled',
+      cancelledAt: new Date(),
+      cancelledBy: req.user.id,
+      cancelReason: req.body.reason || 'Cancelled by patient',
+    });
+    await appointment.save();
+    res.json(portalAppointment(appointment));
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Bills carry no payment status, so this is the lifetime amount billed, not
+// a balance due.
+router.get('/invoices', portalAccess, async (req, res) => {
+  try {
+    const bills = await Billing.find({ patientId: req.patient._id, archivedAt: null })
+      .select('amount date description')
+      .sort({ date: -1 });
+    const totalBilled = bills.reduce((sum, bill) => sum + (bill.amount || 0), 0);
+    res.json({ invoices: bills, totalBilled });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
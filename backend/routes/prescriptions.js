@@ -0,0 +1,93 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router({ mergeParams: true });
+const Prescription = require('../models/prescription');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roles');
+const { loadPatient } = require('../middleware/patientAccess');
+const { checkPrescription } = require('../services/prescriptionChecks');
+
+// Mounted at /api/patients/:id/prescriptions.
+
+const ORDER_FIELDS = ['drug', 'dose', 'route', 'frequency', 'durationDays', 'refills', 'instructions', 'startDate'];
+
+const pickOrder = (body) => Object.fromEntries(ORDER_FIELDS
+  .filter((field) => body[field] !== undefined)
+  .map((field) => [field, body[field]]));
+
+const loadPrescription = async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.rxId)) return res.status(404).json({ message: 'Prescription not found' });
+  try {
+    req.prescription = await Prescription.findOne({ _id: req.params.rxId, patient: req.patient._id, archivedAt: null })
+      .populate('prescriber', 'username role');
+    if (!req.prescription) return res.status(404).json({ message: 'Prescription not found' });
+    next();
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// ?status=active|completed|cancelled
+router.get('/', auth, requirePermission('prescriptions:read'), loadPatient(), async (req, res) => {
+  try {
+    const filter = { patient: req.patient._id, archivedAt: null };
+    if (req.query.status) filter.status = String(req.query.status);
+    const prescriptions = await Prescription.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('prescriber', 'username role');
+    res.json(prescriptions);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Dry run of the safety checks for the order form: { drug } -> findings.
+router.post('/check', auth, requirePermission('prescriptions:write'), loadPatient(), async (req, res) => {
+  try {
+    const { drug, blocking, warnings } = await checkPrescription(req.patient, req.body.drug);
+    if (!drug) return res.status(400).json({ message: `Unknown drug ${req.body.drug}` });
+    res.json({ drug: drug.name, allowed: !blocking.length, blocking, warnings });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.post('/', auth, requirePermission('prescriptions:write'), loadPatient(), async (req, res) => {
+  try {
+    const { drug, blocking, warnings } = await checkPrescription(req.patient, req.body.drug);
+    if (!drug) return res.status(400).json({ message: `Unknown drug ${req.body.drug}` });
+    if (blocking.length) {
+      return res.status(409).json({ message: 'Prescription rejected by safety checks', blocking, warnings });
+    }
+
+    const prescription = await Prescription.create({
+      ...pickOrder(req.body),
+      patient: req.patient._id,
+      prescriber: req.user.id,
+      warnings,
+    });
+    res.status(201).json(prescription);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+router.get('/:rxId', auth, requirePermission('prescriptions:read'), loadPatient(), loadPrescription, (req, res) => {
+  res.json(req.prescription);
+});
+
+router.post('/:rxId/cancel', auth, requirePermission('prescriptions:write'), loadPatient(), loadPrescription, async (req, res) => {
+  const { prescription } = req;
+  if (prescription.status !== 'active') return res.status(409).json({ message: `Prescription is already ${prescription.status}` });
+  try {
+    prescription.status = 'cancelled';
+    prescription.cancelledAt = new Date();
+    prescription.cancelledBy = req.user.id;
+    prescription.cancelReason = req.body.reason;
+    res.json(await prescription.save());
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+module.exports = router;
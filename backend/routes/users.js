@@ -1,32 +1,504 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
 const User = require('../models/user');
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcrypt');
+const Patient = require('../models/patient');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roles');
+const loginThrottle = require('../services/loginThrottle');
+const { checkPassword, describeProblems } = require('../services/passwordPolicy');
+const { issueResetToken, findResetToken, markResetTokenUsed } = require('../services/passwordReset');
+const mfa = require('../services/mfa');
+const { containsText } = require('../services/listQuery');
+const { TokenError, createSession, rotateSession, revokeSession, revokeUserSessions } = require('../services/tokens');
+const { resolveAlias } = require('../services/patientMerge');
 
-router.post('/register', async (req, res) => {
+const canManageUsers = [auth, requirePermission('users:manage')];
+
+// Accepts either an ObjectId or a username so admins can address accounts by name.
+const findUser = (idOrUsername) => {
+  if (mongoose.isValidObjectId(idOrUsername)) return User.findById(idOrUsername);
+  return User.findOne({ username: String(idOrUsername) });
+};
+
+// True when taking this account out of the admin pool would leave no active admin.
+const isLastActiveAdmin = async (user) => {
+  if (user.role !== 'admin' || !user.active) return false;
+  const others = await User.countDocuments({ _id: { $ne: user._id }, role: 'admin', active: true });
+  return others === 0;
+};
+
+// Portal accounts must point at a live patient record; a merged-away id is
+// linked to the surviving record instead.
+const findLinkablePatient = async (id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const patient = await resolveAlias(await Patient.findById(id));
+  return patient && !patient.archivedAt ? patient : null;
+};
+
+// The very first account can be created without a token so a fresh install can
+// bootstrap its admin; after that only admins may register staff.
+const registrationGuard = async (req, res, next) => {
   try {
-    const user = new User(req.body);
+    const userCount = await User.estimatedDocumentCount();
+    if (userCount === 0) return next();
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+  auth(req, res, () => requirePermission('users:manage')(req, res, next));
+};
+
+router.post('/register', registrationGuard, async (req, res) => {
+  try {
+    const { username, password, role, email, department } = req.body;
+    const problems = checkPassword(password, { username });
+    if (problems.length) return res.status(400).json({ message: describeProblems(problems) });
+
+    let patient = null;
+    if (req.body.patient) {
+      patient = await findLinkablePatient(req.body.patient);
+      if (!patient) return res.status(400).json({ message: 'patient must be an existing patient record' });
+    }
+
+    const user = new User({ username, role, email, department, patient: patient && patient._id });
+    user.setPassword(password);
     await user.save();
-    res.status(201).json({ message: 'User registered' });
+    res.status(201).json(user);
   } catch (err) {
     res.status(400).json({ message: err.message });
   }
 });
 
+// Compared against when the username is unknown so both paths cost one bcrypt round.
+const DUMMY_HASH = bcrypt.hashSync('dummy-password-for-timing', 10);
+
 router.post('/login', async (req, res) => {
   try {
-    const user = await User.findOne({ username: req.body.username });
-    if (!user) return res.status(400).json({ message: 'Invalid credentials' });
+    const username = String(req.body.username || '');
+    const password = String(req.body.password || '');
+
+    const waitMs = await loginThrottle.retryAfterMs(username, req.ip);
+    if (waitMs > 0) {
+      res.set('Retry-After', String(Math.ceil(waitMs / 1000)));
+      return res.status(429).json({ message: 'Too many failed login attempts, try again later' });
+    }
+
+    const user = await User.findOne({ username });
+    const isMatch = user
+      ? await user.comparePassword(password)
+      : await bcrypt.compare(password, DUMMY_HASH);
 
-    const isMatch = await bcrypt.compare(req.body.password, user.password);
-    if (!isMatch) return res.status(400).json({ message: 'Invalid credentials' });
+    if (!user || !user.active || !isMatch) {
+      await loginThrottle.recordFailure(username, req.ip);
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+
+    // The failure counter is only cleared once the whole login succeeds, so
+    // guessing second-factor codes still runs into the lockout.
+    if (user.mfa.enabled || await mfa.isRequiredFor(user)) {
+      return res.json({
+        mfaRequired: true,
+        enrollmentRequired: !user.mfa.enabled,
+        mfaToken: mfa.issueMfaToken(user),
+      });
+    }
+    await loginThrottle.recordSuccess(username);
+
+    const { token, refreshToken } = await createSession(user, req);
+    res.json({ token, refreshToken, role: user.role, username: user.username });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+const findPendingMfaUser = async (mfaToken) => {
+  const userId = mfa.verifyMfaToken(mfaToken);
+  const user = userId && await User.findById(userId);
+  return user && user.active ? user : null;
+};
+
+// First-time enrollment for accounts whose role requires MFA.
+router.post('/login/mfa/setup', async (req, res) => {
+  try {
+    const user = await findPendingMfaUser(req.body.mfaToken);
+    if (!user) return res.status(401).json({ message: 'MFA session has expired, sign in again' });
+    if (user.mfa.enabled) return res.status(400).json({ message: 'MFA is already enabled' });
+
+    const enrollment = mfa.beginEnrollment(user);
+    await user.save();
+    res.json(enrollment);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.post('/login/mfa', async (req, res) => {
+  try {
+    const user = await findPendingMfaUser(req.body.mfaToken);
+    if (!user) return res.status(401).json({ message: 'MFA session has expired, sign in again' });
+
+    const waitMs = await loginThrottle.retryAfterMs(user.username, req.ip);
+    if (waitMs > 0) {
+      res.set('Retry-After', String(Math.ceil(waitMs / 1000)));
+      return res.status(429).json({ message: 'Too many failed login attempts, try again later' });
+    }
+
+    let recoveryCodes;
+    let verified;
+    if (user.mfa.enabled) {
+      verified = mfa.verifySecondFactor(user, req.body);
+    } else {
+      recoveryCodes = mfa.completeEnrollment(user, req.body.code);
+      verified = Boolean(recoveryCodes);
+    }
+
+    if (!verified) {
+      await loginThrottle.recordFailure(user.username, req.ip);
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+    await user.save();
+    await loginThrottle.recordSuccess(user.username);
+
+    const { token, refreshToken } = await createSession(user, req);
+    res.json({ token, refreshToken, role: user.role, username: user.username, recoveryCodes });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.post('/refresh', async (req, res) => {
+  try {
+    const { user, token, refreshToken } = await rotateSession(req.body.refreshToken);
+    res.json({ token, refreshToken, role: user.role, username: user.username });
+  } catch (err) {
+    if (err instanceof TokenError) return res.status(401).json({ message: err.message });
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.post('/logout', auth, async (req, res) => {
+  try {
+    if (req.body.all) {
+      await revokeUserSessions(req.user.id, 'logout all');
+    } else {
+      await revokeSession(req.user.sid, 'logout');
+    }
+    res.json({ message: 'Logged out' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.post('/me/password', auth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user.id);
+    if (!user || !(await user.comparePassword(String(currentPassword || '')))) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    const problems = checkPassword(newPassword, { username: user.username });
+    if (problems.length) return res.status(400).json({ message: describeProblems(problems) });
+    if (await user.isPasswordReused(newPassword)) {
+      return res.status(400).json({ message: 'Password was used recently, choose a different one' });
+    }
+
+    user.setPassword(newPassword);
+    await user.save();
+    await revokeUserSessions(user._id, 'password changed', req.user.sid);
+    res.json({ message: 'Password changed' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.post('/me/mfa/setup', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (user.mfa.enabled) return res.status(400).json({ message: 'MFA is already enabled' });
+
+    const enrollment = mfa.beginEnrollment(user);
+    await user.save();
+    res.json(enrollment);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.post('/me/mfa/enable', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const recoveryCodes = mfa.completeEnrollment(user, req.body.code);
+    if (!recoveryCodes) return res.status(400).json({ message: 'Invalid verification code' });
+
+    await user.save();
+    res.json({ message: 'MFA enabled', recoveryCodes });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.post('/me/mfa/recovery-codes', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!mfa.verifySecondFactor(user, { code: req.body.code })) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    const recoveryCodes = mfa.newRecoveryCodes(user);
+    await user.save();
+    res.json({ recoveryCodes });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.post('/me/mfa/disable', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!(await user.comparePassword(String(req.body.password || '')))) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+    if (await mfa.isRequiredFor(user)) {
+      return res.status(403).json({ message: 'MFA is required for your role' });
+    }
+
+    mfa.disable(user);
+    await user.save();
+    res.json({ message: 'MFA disabled' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Always answers the same way so the endpoint cannot be used to probe usernames.
+router.post('/password/forgot', async (req, res) => {
+  try {
+    const user = await User.findOne({ username: String(req.body.username || '') });
+    if (user && user.active) await issueResetToken(user);
+    res.status(202).json({ message: 'If the account exists, reset instructions have been sent' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.post('/password/reset', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    const resetToken = await findResetToken(token);
+    const user = resetToken && await User.findById(resetToken.user);
+    if (!user || !user.active) return res.status(400).json({ message: 'Reset token is invalid or has expired' });
+
+    const problems = checkPassword(newPassword, { username: user.username });
+    if (problems.length) return res.status(400).json({ message: describeProblems(problems) });
+    if (await user.isPasswordReused(newPassword)) {
+      return res.status(400).json({ message: 'Password was used recently, choose a different one' });
+    }
+
+    if (!(await markResetTokenUsed(resetToken))) {
+      return res.status(400).json({ message: 'Reset token is invalid or has expired' });
+    }
+    user.setPassword(newPassword);
+    await user.save();
+    await revokeUserSessions(user._id, 'password reset');
+    await loginThrottle.unlock(user.username);
+    res.json({ message: 'Password has been reset' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Minimal staff listing (e.g. doctors for the appointment form) open to any
+// signed-in staff member. Portal accounts are neither shown nor allowed in.
+router.get('/directory', auth, async (req, res) => {
+  if (req.user.role === 'patient') return res.status(403).json({ message: 'Access denied' });
+  try {
+    const filter = { active: true, role: { $ne: 'patient' } };
+    if (req.query.role && req.query.role !== 'patient') filter.role = String(req.query.role);
+    const users = await User.find(filter).select('username role').sort('username');
+    res.json(users);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.get('/policy/mfa', canManageUsers, async (req, res) => {
+  try {
+    res.json({ requiredRoles: await mfa.getRequiredRoles() });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.put('/policy/mfa', canManageUsers, async (req, res) => {
+  try {
+    const roles = Array.isArray(req.body.requiredRoles) ? req.body.requiredRoles : [];
+    await mfa.setRequiredRoles(roles, req.user.id);
+    res.json({ requiredRoles: roles });
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+router.get('/', canManageUsers, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.role) filter.role = String(req.query.role);
+    if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+    if (req.query.q) filter.username = containsText(req.query.q);
+    const users = await User.find(filter).sort('username');
+    res.json(users);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.get('/:id', canManageUsers, async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    res.json(user);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.put('/:id', canManageUsers, async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const { role, email, active, department, supervisor, patient } = req.body;
+    const losingAdmin = (role !== undefined && role !== 'admin') || active === false;
+    if (losingAdmin && await isLastActiveAdmin(user)) {
+      return res.status(400).json({ message: 'Cannot demote or deactivate the last active admin' });
+    }
+
+    if (role !== undefined) user.role = role;
+    if (email !== undefined) user.email = email;
+    if (active !== undefined) user.active = active;
+    if (department !== undefined) user.department = department;
+    if (supervisor !== undefined) {
+      const supervisorUser = supervisor === null ? null : await findUser(String(supervisor));
+      if (supervisor !== null && (!supervisorUser || !supervisorUser.active || supervisorUser._id.equals(user._id))) {
+        return res.status(400).json({ message: 'supervisor must be another active user' });
+      }
+      user.supervisor = supervisorUser ? supervisorUser._id : null;
+    }
+    if (patient !== undefined) {
+      const linked = patient === null ? null : await findLinkablePatient(patient);
+      if (patient !== null && !linked) return res.status(400).json({ message: 'patient must be an existing patient record' });
+      user.patient = linked ? linked._id : null;
+    }
+    await user.save();
+    if (active === false) await revokeUserSessions(user._id, 'account deactivated');
+    res.json(user);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+router.post('/:id/deactivate', canManageUsers, async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (user._id.equals(req.user.id)) {
+      return res.status(400).json({ message: 'You cannot deactivate your own account' });
+    }
+    if (await isLastActiveAdmin(user)) {
+      return res.status(400).json({ message: 'Cannot demote or deactivate the last active admin' });
+    }
+
+    user.active = false;
+    await user.save();
+    await revokeUserSessions(user._id, 'account deactivated');
+    res.json(user);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.post('/:id/reactivate', canManageUsers, async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    user.active = true;
+    await user.save();
+    res.json(user);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.delete('/:id', canManageUsers, async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (user._id.equals(req.user.id)) {
+      return res.status(400).json({ message: 'You cannot delete your own account' });
+    }
+    if (await isLastActiveAdmin(user)) {
+      return res.status(400).json({ message: 'Cannot delete the last active admin' });
+    }
+
+    await user.deleteOne();
+    await revokeUserSessions(user._id, 'account deleted');
+    res.json({ message: 'User deleted' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.get('/:id/lockout', canManageUsers, async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    res.json(await loginThrottle.lockStatus(user.username));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.post('/:id/unlock', canManageUsers, async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    await loginThrottle.unlock(user.username);
+    res.json({ message: 'Account unlocked' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// For staff who lost their authenticator; they re-enroll at next sign-in if their role requires it.
+router.post('/:id/mfa/reset', canManageUsers, async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    mfa.disable(user);
+    await user.save();
+    await revokeUserSessions(user._id, 'mfa reset');
+    res.json({ message: 'MFA reset' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.post('/:id/revoke-sessions', canManageUsers, async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
 
-    const token = jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET, { expiresIn: '1h' });
-    res.json({ token, role: user.role, username: user.username });
+    const result = await revokeUserSessions(user._id, 'revoked by admin');
+    res.json({ message: 'Sessions revoked', count: result.modifiedCount });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const Vital = require('../models/vital');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roles');
+const { loadPatient } = require('../middleware/patientAccess');
+const { VITAL_RANGES, MEASURES } = require('../config/vitals');
+const { buildSeries } = require('../services/vitals');
+const { dateRange, handleListErrors } = require('../services/listQuery');
+
+// Mounted at /api/patients/:id/vitals.
+
+// ?from=&to= -> { units, ranges, series: { systolic: [{ takenAt, value, flag }], ... } }
+router.get('/', auth, requirePermission('patients:read'), loadPatient(), handleListErrors(async (req, res) => {
+  const filter = { patient: req.patient._id, archivedAt: null };
+  const takenAt = dateRange(req.query.from, req.query.to);
+  if (takenAt) filter.takenAt = takenAt;
+
+  const readings = await Vital.find(filter).sort({ takenAt: 1 }).lean();
+  res.json({
+    patient: req.patient._id,
+    count: readings.length,
+    ranges: VITAL_RANGES,
+    series: buildSeries(readings),
+  });
+}));
+
+router.post('/', auth, requirePermission('clinical:write'), loadPatient(), async (req, res) => {
+  const fields = Object.fromEntries(MEASURES.filter((measure) => req.body[measure] !== undefined)
+    .map((measure) => [measure, req.body[measure]]));
+  try {
+    const vital = await Vital.create({
+      ...fields,
+      patient: req.patient._id,
+      takenAt: req.body.takenAt,
+      notes: req.body.notes,
+      recordedBy: req.user.id,
+    });
+    res.status(201).json(vital);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+module.exports = router;
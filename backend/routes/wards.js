@@ -0,0 +1,126 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Ward = require('../models/ward');
+const Room = require('../models/room');
+const Bed = require('../models/bed');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roles');
+const { occupancyBoard } = require('../services/adt');
+
+const loadWard = async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.wardId)) return res.status(404).json({ message: 'Ward not found' });
+  try {
+    req.ward = await Ward.findById(req.params.wardId);
+    if (!req.ward) return res.status(404).json({ message: 'Ward not found' });
+    next();
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+const WARD_FIELDS = ['name', 'department', 'active'];
+
+const pickWard = (body) => Object.fromEntries(WARD_FIELDS
+  .filter((field) => body[field] !== undefined)
+  .map((field) => [field, body[field]]));
+
+const duplicateOr400 = (res, err, label) => res.status(err.code === 11000 ? 409 : 400)
+  .json({ message: err.code === 11000 ? `${label} already exists` : err.message });
+
+router.get('/', auth, requirePermission('wards:read'), async (req, res) => {
+  try {
+    const filter = req.query.includeInactive === 'true' ? {} : { active: true };
+    res.json(await Ward.find(filter).sort({ name: 1 }));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Live bed occupancy by ward; ?ward=<id> narrows it to one ward.
+router.get('/board', auth, requirePermission('wards:read'), async (req, res) => {
+  if (req.query.ward && !mongoose.isValidObjectId(req.query.ward)) {
+    return res.status(400).json({ message: 'Invalid ward id' });
+  }
+  try {
+    res.json(await occupancyBoard(req.user, { wardId: req.query.ward }));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.post('/', auth, requirePermission('wards:manage'), async (req, res) => {
+  const { name, department } = req.body;
+  try {
+    res.status(201).json(await Ward.create({ name, department }));
+  } catch (err) {
+    duplicateOr400(res, err, 'Ward');
+  }
+});
+
+router.get('/:wardId', auth, requirePermission('wards:read'), loadWard, async (req, res) => {
+  try {
+    const [rooms, beds] = await Promise.all([
+      Room.find({ ward: req.ward._id }).sort({ name: 1 }),
+      Bed.find({ ward: req.ward._id }).sort({ label: 1 }).select('-occupant -admission'),
+    ]);
+    res.json({ ...req.ward.toJSON(), rooms, beds });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.put('/:wardId', auth, requirePermission('wards:manage'), loadWard, async (req, res) => {
+  try {
+    if (req.body.active === false && await Bed.exists({ ward: req.ward._id, status: 'occupied' })) {
+      return res.status(409).json({ message: 'Cannot close a ward with occupied beds' });
+    }
+    req.ward.set(pickWard(req.body));
+    res.json(await req.ward.save());
+  } catch (err) {
+    duplicateOr400(res, err, 'Ward');
+  }
+});
+
+router.post('/:wardId/rooms', auth, requirePermission('wards:manage'), loadWard, async (req, res) => {
+  try {
+    res.status(201).json(await Room.create({ ward: req.ward._id, name: req.body.name }));
+  } catch (err) {
+    duplicateOr400(res, err, 'Room');
+  }
+});
+
+router.post('/:wardId/rooms/:roomId/beds', auth, requirePermission('wards:manage'), loadWard, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.roomId)) return res.status(404).json({ message: 'Room not found' });
+  try {
+    const room = await Room.findOne({ _id: req.params.roomId, ward: req.ward._id });
+    if (!room) return res.status(404).json({ message: 'Room not found' });
+    res.status(201).json(await Bed.create({ ward: req.ward._id, room: room._id, label: req.body.label }));
+  } catch (err) {
+    duplicateOr400(res, err, 'Bed');
+  }
+});
+
+// Takes a bed in or out of service. Occupancy only changes through
+// admit, transfer and discharge.
+router.put('/beds/:bedId', auth, requirePermission('wards:manage'), async (req, res) => {
+  const { status } = req.body;
+  if (!['available', 'maintenance'].includes(status)) {
+    return res.status(400).json({ message: 'Status must be available or maintenance' });
+  }
+  if (!mongoose.isValidObjectId(req.params.bedId)) return res.status(404).json({ message: 'Bed not found' });
+  try {
+    const bed = await Bed.findOneAndUpdate(
+      { _id: req.params.bedId, occupant: null },
+      { status },
+      { new: true },
+    );
+    if (bed) return res.json(bed);
+    if (!(await Bed.exists({ _id: req.params.bedId }))) return res.status(404).json({ message: 'Bed not found' });
+    res.status(409).json({ message: 'Bed is occupied' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,22 @@
+// Loads ICD-10 codes into MongoDB. Without arguments it loads the bundled
+// table; pass a JSON file of [{ code, description }] to load a fuller one:
+//   npm run codes:icd10 -- ./icd10cm-2025.json
+require('dotenv').config();
+const path = require('path');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { loadCatalogue } = require('../services/icd10');
+
+const run = async () => {
+  const file = process.argv[2] ? path.resolve(process.argv[2]) : path.join(__dirname, '../data/icd10.json');
+  const rows = require(file);
+  await connectDB();
+  const total = await loadCatalogue(rows);
+  console.log(`Loaded ${rows.length} codes from ${file}; catalogue now has ${total}`);
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,32 @@
+// Retention purge: permanently removes patients archived longer than
+// ARCHIVE_RETENTION_YEARS. Run explicitly, e.g.
+//   npm run purge:archived -- --dry-run
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+require('../models/appointment');
+require('../models/billing');
+require('../models/vital');
+require('../models/document');
+require('../models/clinicalNote');
+require('../models/prescription');
+require('../models/labOrder');
+require('../models/labResult');
+require('../models/admission');
+require('../models/dischargeSummary');
+require('../models/immunization');
+const { purgeArchivedPatients, retentionCutoff } = require('../services/archive');
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  const before = retentionCutoff();
+  await connectDB();
+  const counts = await purgeArchivedPatients({ before, dryRun });
+  console.log(`${dryRun ? 'Would purge' : 'Purged'} records archived before ${before.toISOString()}:`, counts);
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const Admission = require('../models/admission');
+const Bed = require('../models/bed');
+const Room = require('../models/room');
+const Ward = require('../models/ward');
+const { canAccessPatient } = require('./patientScope');
+
+class AdtError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Atomic: only succeeds if the bed is free at the moment of the update, so
+// two concurrent admissions cannot land in the same bed. Beds in closed wards
+// are off the board and cannot be claimed.
+const claimBed = async (bedId, patientId, admissionId) => {
+  if (!mongoose.isValidObjectId(bedId)) throw new AdtError('Bed not found', 404);
+  const existing = await Bed.findById(bedId).populate('ward', 'active');
+  if (!existing) throw new AdtError('Bed not found', 404);
+  if (!existing.ward || !existing.ward.active) throw new AdtError('Ward is closed', 409);
+  const bed = await Bed.findOneAndUpdate(
+    { _id: bedId, status: 'available', occupant: null },
+    { status: 'occupied', occupant: patientId, admission: admissionId },
+    { new: true },
+  );
+  if (bed) return bed;
+  throw new AdtError('Bed is not available', 409);
+};
+
+const releaseBed = (bedId, admissionId) => Bed.updateOne(
+  { _id: bedId, admission: admissionId },
+  { status: 'available', occupant: null, admission: null },
+);
+
+const admit = async ({ patient, bedId, user, attendingDoctor, reason }) => {
+  if (await Admission.exists({ patient: patient._id, status: 'admitted' })) {
+    throw new AdtError('Patient is already admitted', 409);
+  }
+  const admission = new Admission({
+    patient: patient._id,
+    reason,
+    attendingDoctor,
+    admittedBy: user.id,
+  });
+  const bed = await claimBed(bedId, patient._id, admission._id);
+  admission.currentBed = bed._id;
+  admission.movements.push({ type: 'admit', by: user.id, toBed: bed._id });
+  try {
+    return await admission.save();
+  } catch (err) {
+    await releaseBed(bed._id, admission._id);
+    throw err.code === 11000 ? new AdtError('Patient is already admitted', 409) : err;
+  }
+};
+
+const transfer = async ({ admission, bedId, user, note }) => {
+  if (admission.status !== 'admitted') throw new AdtError('Only current admissions can be transferred', 409);
+  if (String(admission.currentBed) === String(bedId)) throw new AdtError('Patient is already in that bed', 409);
+
+  const bed = await claimBed(bedId, admission.patient, admission._id);
+  const fromBed = admission.currentBed;
+  admission.currentBed = bed._id;
+  admission.movements.push({ type: 'transfer', by: user.id, fromBed, toBed: bed._id, note });
+  try {
+    await admission.save();
+  } catch (err) {
+    await releaseBed(bed._id, admission._id);
+    throw err;
+  }
+  await releaseBed(fromBed, admission._id);
+  return admission;
+};
+
+const discharge = async ({ admission, user, disposition, note }) => {
+  if (admission.status !== 'admitted') throw new AdtError('Patient has already been discharged', 409);
+
+  const fromBed = admission.currentBed;
+  admission.set({
+    status: 'discharged',
+    currentBed: null,
+    dischargedAt: new Date(),
+    dischargedBy: user.id,
+    dischargeDisposition: disposition,
+  });
+  admission.movements.push({ type: 'discharge', by: user.id, fromBed, note });
+  await admission.save();
+  await releaseBed(fromBed, admission._id);
+  return admission;
+};
+
+// Live occupancy grouped ward -> room -> bed. Occupant details are only
+// filled in for patients the viewer may see; other beds just read occupied.
+const occupancyBoard = async (user, { wardId } = {}) => {
+  const wardFilter = { active: true };
+  if (wardId) wardFilter._id = wardId;
+  const wards = await Ward.find(wardFilter).sort({ name: 1 }).lean();
+  const wardIds = wards.map((ward) => ward._id);
+  const [rooms, beds] = await Promise.all([
+    Room.find({ ward: { $in: wardIds } }).sort({ name: 1 }).lean(),
+    Bed.find({ ward: { $in: wardIds } })
+      .sort({ label: 1 })
+      .populate('occupant', 'mrn name dob sex careTeam department')
+      .populate('admission', 'admittedAt attendingDoctor reason')
+      .lean(),
+  ]);
+
+  return wards.map((ward) => {
+    const wardBeds = beds.filter((bed) => String(bed.ward) === String(ward._id));
+    const count = (status) => wardBeds.filter((bed) => bed.status === status).length;
+    return {
+      ward: { _id: ward._id, name: ward.name, department: ward.department },
+      totals: {
+        beds: wardBeds.length,
+        occupied: count('occupied'),
+        available: count('available'),
+        maintenance: count('maintenance'),
+      },
+      rooms: rooms.filter((room) => String(room.ward) === String(ward._id)).map((room) => ({
+        _id: room._id,
+        name: room.name,
+        beds: wardBeds.filter((bed) => String(bed.room) === String(room._id)).map((bed) => {
+          const visible = bed.occupant && canAccessPatient(user, bed.occupant);
+          return {
+            _id: bed._id,
+            label: bed.label,
+            status: bed.status,
+            patient: visible ? { _id: bed.occupant._id, mrn: bed.occupant.mrn, name: bed.occupant.name } : null,
+            admittedAt: visible && bed.admission ? bed.admission.admittedAt : null,
+          };
+        }),
+      })),
+    };
+  });
+};
+
+module.exports = { AdtError, admit, transfer, discharge, occupancyBoard };
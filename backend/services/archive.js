@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const Patient = require('../models/patient');
+const PatientVersion = require('../models/patientVersion');
+const PatientMerge = require('../models/patientMerge');
+const User = require('../models/user');
+const { revokeUserSessions } = require('./tokens');
+const { getBackend } = require('./documentStorage');
+const { ARCHIVE_RETENTION_YEARS } = require('../config/retention');
+
+const removeStoredFiles = async (filter) => {
+  const documents = await mongoose.model('Document').find(filter).select('storage storageKey');
+  await Promise.all(documents.map((doc) => getBackend(doc.storage).remove(doc.storageKey)));
+};
+
+// Records archived, restored and purged together with their patient.
+// `beforePurge(filter)` cleans up anything stored outside MongoDB.
+const ARCHIVED_WITH_PATIENT = [
+  { model: 'Appointment', field: 'patientId' },
+  { model: 'Billing', field: 'patientId' },
+  { model: 'Vital', field: 'patient' },
+  { model: 'Document', field: 'patient', beforePurge: removeStoredFiles },
+  { model: 'ClinicalNote', field: 'patient' },
+  { model: 'Prescription', field: 'patient' },
+  { model: 'LabOrder', field: 'patient' },
+  { model: 'LabResult', field: 'patient' },
+  { model: 'Admission', field: 'patient' },
+  { model: 'DischargeSummary', field: 'patient' },
+  { model: 'Immunization', field: 'patient' },
+];
+
+const archivePatient = async (patient, user, reason) => {
+  await patient.archive(user, reason);
+  for (const { model, field } of ARCHIVED_WITH_PATIENT) {
+    await mongoose.model(model).updateMany(
+      { [field]: patient._id, archivedAt: null },
+      { archivedAt: patient.archivedAt, archivedBy: user.id, archiveReason: reason, archivedWith: patient._id },
+    );
+  }
+  return patient;
+};
+
+// Records archived on their own before the patient was archived stay archived.
+const restorePatient = async (patient) => {
+  for (const { model, field } of ARCHIVED_WITH_PATIENT) {
+    await mongoose.model(model).updateMany(
+      { [field]: patient._id, archivedWith: patient._id },
+      { archivedAt: null, $unset: { archivedBy: 1, archiveReason: 1, archivedWith: 1 } },
+    );
+  }
+  return patient.restore();
+};
+
+const retentionCutoff = (now = new Date()) => {
+  const cutoff = new Date(now);
+  cutoff.setFullYear(cutoff.getFullYear() - ARCHIVE_RETENTION_YEARS);
+  return cutoff;
+};
+
+// Permanently deletes patients archived before `before`, their linked
+// records and any merged-away aliases of them, including the version
+// snapshots and merge audit rows that carry copies of their demographics.
+// Portal accounts for them are deleted, since a patient account cannot exist
+// without its record. Only the retention script calls this; no route does.
+const purgeArchivedPatients = async ({ before = retentionCutoff(), dryRun = false } = {}) => {
+  const patients = await Patient.find({ archivedAt: { $ne: null, $lte: before } }).select('_id');
+  const patientIds = patients.map((p) => p._id);
+  const aliasIds = await Patient.distinct('_id', { mergedInto: { $in: patientIds } });
+  const ids = [...patientIds, ...aliasIds];
+
+  const counts = { patients: patientIds.length, aliases: aliasIds.length };
+  for (const { model, field, beforePurge } of ARCHIVED_WITH_PATIENT) {
+    const Model = mongoose.model(model);
+    const filter = { [field]: { $in: ids } };
+    if (dryRun) {
+      counts[model] = await Model.countDocuments(filter);
+      continue;
+    }
+    if (beforePurge) await beforePurge(filter);
+    counts[model] = (await Model.deleteMany(filter)).deletedCount;
+  }
+
+  const versionFilter = { patient: { $in: ids } };
+  const mergeFilter = { $or: [{ survivor: { $in: ids } }, { merged: { $in: ids } }] };
+  const portalFilter = { patient: { $in: ids } };
+  if (dryRun) {
+    counts.PatientVersion = await PatientVersion.countDocuments(versionFilter);
+    counts.PatientMerge = await PatientMerge.countDocuments(mergeFilter);
+    counts.portalAccounts = await User.countDocuments(portalFilter);
+    return counts;
+  }
+  counts.PatientVersion = (await PatientVersion.deleteMany(versionFilter)).deletedCount;
+  counts.PatientMerge = (await PatientMerge.deleteMany(mergeFilter)).deletedCount;
+  const portalIds = await User.distinct('_id', portalFilter);
+  await revokeUserSessions({ $in: portalIds }, 'patient record purged');
+  counts.portalAccounts = (await User.deleteMany({ _id: { $in: portalIds } })).deletedCount;
+  await Patient.deleteMany({ _id: { $in: ids } });
+  return counts;
+};
+
+module.exports = { ARCHIVED_WITH_PATIENT, archivePatient, restorePatient, retentionCutoff, purgeArchivedPatients };
@@ -0,0 +1,153 @@
+const PDFDocument = require('pdfkit');
+const Patient = require('../models/patient');
+const Billing = require('../models/billing');
+const Prescription = require('../models/prescription');
+const Appointment = require('../models/appointment');
+const Icd10Code = require('../models/icd10Code');
+
+const sameText = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+// Active problems plus any codes billed during the stay, one entry per code.
+const collectDiagnoses = async (patient, bills) => {
+  const diagnoses = patient.problems
+    .filter((problem) => problem.status === 'active')
+    .map(({ code, description }) => ({ code, description: description || code }));
+  const billedCodes = [...new Set(bills.flatMap((bill) => bill.diagnoses))]
+    .filter((code) => !diagnoses.some((diagnosis) => diagnosis.code === code));
+  const known = await Icd10Code.find({ code: { $in: billedCodes } }).lean();
+  for (const code of billedCodes) {
+    const entry = known.find((row) => row.code === code);
+    diagnoses.push({ code, description: entry ? entry.description : code });
+  }
+  return diagnoses;
+};
+
+// Prescriptions still running at discharge, then any patient-reported
+// medications not already covered by one.
+const collectMedications = (patient, prescriptions) => {
+  const medications = prescriptions.map((rx) => ({
+    name: rx.drug,
+    dose: rx.dose,
+    route: rx.route,
+    frequency: rx.frequency,
+    instructions: rx.instructions,
+  }));
+  for (const med of patient.medications.filter((entry) => entry.status === 'active')) {
+    if (!medications.some((existing) => sameText(existing.name, med.name))) {
+      medications.push({ name: med.name, dose: med.dose, route: med.route, frequency: med.frequency });
+    }
+  }
+  return medications;
+};
+
+// Pre-fills a draft from the records of a discharged admission. There is no
+// separate procedures record, so the stay's billed items stand in for them
+// and the doctor corrects the list before signing.
+const buildDischargeSummary = async (admission, user) => {
+  const patient = await Patient.findById(admission.patient);
+  const { admittedAt, dischargedAt } = admission;
+  const [bills, prescriptions, appointments] = await Promise.all([
+    Billing.find({ patientId: patient._id, archivedAt: null, date: { $gte: admittedAt, $lte: dischargedAt } }).sort({ date: 1 }),
+    Prescription.find({
+      patient: patient._id,
+      archivedAt: null,
+      status: 'active',
+      startDate: { $lte: dischargedAt },
+      endDate: { $gte: dischargedAt },
+    }).sort({ drug: 1 }),
+    Appointment.find({ patientId: patient._id, archivedAt: null, date: { $gte: dischargedAt } })
+      .sort({ date: 1 })
+      .populate('doctorId', 'username'),
+  ]);
+
+  return {
+    admission: admission._id,
+    patient: patient._id,
+    author: user.id,
+    admittedAt,
+    dischargedAt,
+    attendingDoctor: admission.attendingDoctor,
+    reasonForAdmission: admission.reason,
+    disposition: admission.dischargeDisposition,
+    diagnoses: await collectDiagnoses(patient, bills),
+    procedures: bills.filter((bill) => bill.description).map((bill) => ({ description: bill.description, date: bill.date })),
+    medications: collectMedications(patient, prescriptions),
+    followUp: appointments.map((appointment) => ({
+      appointment: appointment._id,
+      date: appointment.date,
+      time: appointment.time,
+      with: appointment.doctorId ? appointment.doctorId.username : undefined,
+      instructions: appointment.notes,
+    })),
+  };
+};
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+const joinParts = (parts) => parts.filter(Boolean).join(' ');
+
+// Shared by the text and PDF exports so both always carry the same content.
+// Expects `summary` with attendingDoctor and signedBy populated.
+const summarySections = (summary, patient) => [
+  {
+    title: 'Patient',
+    lines: [
+      `${patient.name} (MRN ${patient.mrn})`,
+      `Date of birth: ${formatDate(patient.dob)}`,
+    ],
+  },
+  {
+    title: 'Admission',
+    lines: [
+      `Admitted: ${formatDate(summary.admittedAt)}`,
+      `Discharged: ${formatDate(summary.dischargedAt)}`,
+      summary.attendingDoctor && `Attending: ${summary.attendingDoctor.username}`,
+      summary.reasonForAdmission && `Reason for admission: ${summary.reasonForAdmission}`,
+      summary.disposition && `Disposition: ${summary.disposition}`,
+    ].filter(Boolean),
+  },
+  { title: 'Diagnoses', lines: summary.diagnoses.map((d) => joinParts([d.code, d.code && '-', d.description])) },
+  { title: 'Procedures', lines: summary.procedures.map((p) => joinParts([formatDate(p.date), p.description])) },
+  { title: 'Hospital course', lines: summary.hospitalCourse ? [summary.hospitalCourse] : [] },
+  {
+    title: 'Medications on discharge',
+    lines: summary.medications.map((m) => joinParts([m.name, m.dose, m.route, m.frequency, m.instructions && `(${m.instructions})`])),
+  },
+  {
+    title: 'Follow-up',
+    lines: summary.followUp.map((f) => joinParts([formatDate(f.date), f.time, f.with && `with ${f.with}`, f.instructions && `- ${f.instructions}`])),
+  },
+  { title: 'Discharge instructions', lines: summary.instructions ? [summary.instructions] : [] },
+];
+
+const signatureLine = (summary) => (summary.status === 'signed'
+  ? `Signed by ${summary.signedBy ? summary.signedBy.username : 'unknown'} on ${summary.signedAt.toISOString()}`
+  : 'DRAFT - not signed');
+
+const toText = (summary, patient) => {
+  const body = summarySections(summary, patient).map(({ title, lines }) => [
+    title.toUpperCase(),
+    ...(lines.length ? lines.map((line) => `  ${line}`) : ['  None recorded']),
+  ].join('\n'));
+  return ['DISCHARGE SUMMARY', '', body.join('\n\n'), '', signatureLine(summary), ''].join('\n');
+};
+
+const toPdf = (summary, patient) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Discharge summary - ${patient.mrn}` } });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  doc.font('Helvetica-Bold').fontSize(18).text('Discharge Summary');
+  if (summary.status !== 'signed') doc.fillColor('red').fontSize(10).text('DRAFT - not signed').fillColor('black');
+  for (const { title, lines } of summarySections(summary, patient)) {
+    doc.moveDown().font('Helvetica-Bold').fontSize(12).text(title);
+    doc.font('Helvetica').fontSize(10);
+    if (!lines.length) doc.text('None recorded');
+    for (const line of lines) doc.text(line);
+  }
+  doc.moveDown(2).font('Helvetica-Oblique').fontSize(10).text(signatureLine(summary));
+  doc.end();
+});
+
+module.exports = { buildDischargeSummary, toText, toPdf };
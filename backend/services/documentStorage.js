@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DOCUMENT_STORAGE, DOCUMENT_DIR } = require('../config/documents');
+
+// File contents live behind a named backend so documents can move to object
+// storage without touching the routes. A backend implements
+// save(key, buffer), read(key) -> Buffer and remove(key).
+const localPath = (key) => {
+  const file = path.resolve(DOCUMENT_DIR, key);
+  if (!file.startsWith(path.resolve(DOCUMENT_DIR) + path.sep)) throw new Error('Invalid storage key');
+  return file;
+};
+
+const backends = {
+  local: {
+    save: async (key, buffer) => {
+      const file = localPath(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer, { flag: 'wx' });
+    },
+    read: (key) => fs.promises.readFile(localPath(key)),
+    remove: (key) => fs.promises.rm(localPath(key), { force: true }),
+  },
+};
+
+const registerBackend = (name, backend) => {
+  backends[name] = backend;
+};
+
+const getBackend = (name = DOCUMENT_STORAGE) => {
+  const backend = backends[name];
+  if (!backend) throw new Error(`Unknown document storage backend: ${name}`);
+  return backend;
+};
+
+const checksum = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// The declared Content-Type is only a client claim; check the file's magic
+// bytes agree before accepting it.
+const SIGNATURES = [
+  { mimeType: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46] },
+  { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/tiff', bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { mimeType: 'image/tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+];
+
+const sniffMimeType = (buffer) => {
+  const match = SIGNATURES.find(({ bytes }) => bytes.every((byte, i) => buffer[i] === byte));
+  return match ? match.mimeType : null;
+};
+
+module.exports = { registerBackend, getBackend, checksum, sniffMimeType };
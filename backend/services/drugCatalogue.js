@@ -0,0 +1,45 @@
+const drugs = require('../data/drugs.json');
+const interactions = require('../data/drugInteractions.json');
+
+const SEARCH_LIMIT = 20;
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// "Penicillins" and "penicillin" name the same allergy group.
+const singular = (value) => normalize(value).replace(/s$/, '');
+
+const byName = new Map();
+drugs.forEach((drug) => {
+  [drug.name, ...drug.aliases].forEach((name) => byName.set(normalize(name), drug));
+});
+
+const findDrug = (name) => byName.get(normalize(name)) || null;
+
+const searchDrugs = (q, { limit = SEARCH_LIMIT } = {}) => {
+  const text = normalize(q);
+  if (!text) return [];
+  return drugs
+    .filter((drug) => [drug.name, drug.drugClass, ...drug.aliases].some((name) => name.includes(text)))
+    .slice(0, limit);
+};
+
+// Interaction rules name drugs or whole classes on each side.
+const ruleCovers = (names, drug) => names.includes(drug.name) || names.includes(drug.drugClass);
+
+const interactionsBetween = (first, second) => interactions.filter((rule) => (
+  (ruleCovers(rule.a, first) && ruleCovers(rule.b, second))
+  || (ruleCovers(rule.a, second) && ruleCovers(rule.b, first))
+));
+
+// 'allergy' when the recorded substance is this drug or its group,
+// 'cross-reactive' for a related group, otherwise null.
+const allergyMatch = (drug, substance) => {
+  const allergen = singular(substance);
+  if (!allergen) return null;
+  const direct = [drug.name, ...drug.aliases, drug.drugClass, ...drug.allergyGroups].map(singular);
+  if (direct.includes(allergen)) return 'allergy';
+  if (drug.crossReactive.map(singular).includes(allergen)) return 'cross-reactive';
+  return null;
+};
+
+module.exports = { findDrug, searchDrugs, interactionsBetween, allergyMatch };
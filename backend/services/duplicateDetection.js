@@ -0,0 +1,75 @@
+const Patient = require('../models/patient');
+const { nameKeys, matchScore } = require('./nameMatching');
+
+// Scores at or above this are reported as likely duplicates.
+const DEFAULT_THRESHOLD = 0.8;
+const CANDIDATE_LIMIT = 200;
+// Blocks bigger than this (e.g. a very common surname) are skipped in the
+// full report to keep it roughly linear; create-time checks are unaffected.
+const MAX_BLOCK_SIZE = 500;
+
+const SUMMARY_FIELDS = '_id mrn name dob';
+
+const dayRange = (dob) => {
+  const start = new Date(dob);
+  start.setUTCHours(0, 0, 0, 0);
+  return { $gte: start, $lt: new Date(start.getTime() + 24 * 60 * 60 * 1000) };
+};
+
+// Existing patients (within `scopeFilter`) that look like the same person as
+// `candidate` ({ name, dob }), best match first.
+const findLikelyDuplicates = async (candidate, { scopeFilter = {}, excludeId, threshold = DEFAULT_THRESHOLD } = {}) => {
+  const keys = nameKeys(candidate.name);
+  const clauses = [];
+  if (keys.metaphone.length) clauses.push({ 'nameKeys.metaphone': { $in: keys.metaphone } });
+  if (candidate.dob && !Number.isNaN(new Date(candidate.dob).getTime())) clauses.push({ dob: dayRange(candidate.dob) });
+  if (!clauses.length) return [];
+
+  const filter = { $and: [scopeFilter, { $or: clauses }] };
+  if (excludeId) filter.$and.push({ _id: { $ne: excludeId } });
+
+  const candidates = await Patient.find(filter).select(SUMMARY_FIELDS).limit(CANDIDATE_LIMIT).lean();
+  return candidates
+    .map((patient) => ({ patient, ...matchScore(candidate, patient) }))
+    .filter((match) => match.score >= threshold)
+    .sort((a, b) => b.score - a.score);
+};
+
+// Pairs of likely duplicates across the whole (scoped) register. Patients are
+// blocked by date of birth and by each phonetic name key, and only pairs that
+// share a block are scored.
+const duplicateReport = async ({ scopeFilter = {}, threshold = DEFAULT_THRESHOLD } = {}) => {
+  const patients = await Patient.find(scopeFilter).select(`${SUMMARY_FIELDS} nameKeys`).lean();
+
+  const blocks = new Map();
+  const addToBlock = (key, patient) => {
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(patient);
+  };
+  patients.forEach((patient) => {
+    if (patient.dob) addToBlock(`dob:${new Date(patient.dob).toISOString().slice(0, 10)}`, patient);
+    const keys = patient.nameKeys && patient.nameKeys.metaphone ? patient.nameKeys.metaphone : nameKeys(patient.name).metaphone;
+    keys.forEach((key) => addToBlock(`mp:${key}`, patient));
+  });
+
+  const seen = new Set();
+  const pairs = [];
+  blocks.forEach((members) => {
+    if (members.length < 2 || members.length > MAX_BLOCK_SIZE) return;
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const [a, b] = [members[i], members[j]].sort((x, y) => String(x._id).localeCompare(String(y._id)));
+        const pairKey = `${a._id}:${b._id}`;
+        if (seen.has(pairKey)) continue;
+        seen.add(pairKey);
+
+        const { score, reasons } = matchScore(a, b);
+        if (score >= threshold) pairs.push({ patients: [a, b].map(({ nameKeys: _keys, ...rest }) => rest), score, reasons });
+      }
+    }
+  });
+
+  return pairs.sort((a, b) => b.score - a.score);
+};
+
+module.exports = { DEFAULT_THRESHOLD, findLikelyDuplicates, duplicateReport };
@@ -0,0 +1,57 @@
+const Icd10Code = require('../models/icd10Code');
+const bundledCodes = require('../data/icd10.json');
+const { escapeRegex, containsText } = require('./listQuery');
+
+const SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+
+// "e119" and "E11.9" are the same code; store and compare the dotted form.
+const normalizeCode = (code) => {
+  if (typeof code !== 'string') return code;
+  const compact = code.trim().toUpperCase().replace(/\./g, '');
+  return compact.length > 3 ? `${compact.slice(0, 3)}.${compact.slice(3)}` : compact;
+};
+
+// Upserts `rows` ([{ code, description }]) into the catalogue.
+const loadCatalogue = async (rows) => {
+  await Icd10Code.bulkWrite(rows.map(({ code, description }) => ({
+    updateOne: {
+      filter: { code: normalizeCode(code) },
+      update: { description },
+      upsert: true,
+    },
+  })));
+  return Icd10Code.countDocuments();
+};
+
+// Loads the bundled table the first time the catalogue is used on an empty
+// database, so lookups work without a separate setup step.
+const ensureCatalogue = async () => {
+  if (await Icd10Code.estimatedDocumentCount()) return;
+  await loadCatalogue(bundledCodes);
+};
+
+const isKnownCode = async (code) => {
+  await ensureCatalogue();
+  return Boolean(await Icd10Code.exists({ code: normalizeCode(code) }));
+};
+
+// A query that looks like a code matches by code prefix; otherwise every
+// word must appear in the description.
+const searchCodes = async (q, { limit = SEARCH_LIMIT } = {}) => {
+  await ensureCatalogue();
+  const text = String(q || '').trim();
+  if (!text) return [];
+
+  const filter = /^[A-Za-z][0-9][0-9A-Za-z.]*$/.test(text)
+    ? { code: new RegExp(`^${escapeRegex(normalizeCode(text))}`) }
+    : { $and: text.split(/\s+/).map((word) => ({ description: containsText(word) })) };
+
+  return Icd10Code.find(filter)
+    .select('code description -_id')
+    .sort({ code: 1 })
+    .limit(Math.min(limit, MAX_SEARCH_LIMIT))
+    .lean();
+};
+
+module.exports = { normalizeCode, loadCatalogue, ensureCatalogue, isKnownCode, searchCodes, MAX_SEARCH_LIMIT };
@@ -0,0 +1,101 @@
+const Setting = require('../models/setting');
+const bundledSchedule = require('../data/immunizationSchedule.json');
+
+const SCHEDULE_KEY = 'immunizations.schedule';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const normalizeVaccine = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : code);
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+const isNonNegative = (value) => Number.isFinite(value) && value >= 0;
+
+// Checks an admin-supplied schedule and returns it with vaccine codes
+// normalized. Throws with a message naming the first problem found.
+const validateSchedule = (schedule) => {
+  if (!schedule || !Array.isArray(schedule.series)) throw new Error('Schedule must have a series list');
+  if (schedule.graceDays !== undefined && !isNonNegative(schedule.graceDays)) {
+    throw new Error('graceDays must be a non-negative number');
+  }
+  const seen = new Set();
+  const series = schedule.series.map((entry) => {
+    const vaccine = normalizeVaccine(entry.vaccine);
+    if (!vaccine) throw new Error('Every series needs a vaccine code');
+    if (seen.has(vaccine)) throw new Error(`${vaccine} appears more than once`);
+    seen.add(vaccine);
+    if (!Array.isArray(entry.doses) || !entry.doses.length) throw new Error(`${vaccine} needs at least one dose`);
+    entry.doses.forEach((dose, index) => {
+      if (dose.dose !== index + 1) throw new Error(`${vaccine} doses must be numbered 1, 2, 3...`);
+      if (!isNonNegative(dose.ageMonths)) throw new Error(`${vaccine} dose ${dose.dose} needs ageMonths`);
+      if (dose.minIntervalDays !== undefined && !isNonNegative(dose.minIntervalDays)) {
+        throw new Error(`${vaccine} dose ${dose.dose} has an invalid minIntervalDays`);
+      }
+    });
+    for (const field of ['maxAgeMonths', 'boosterIntervalYears']) {
+      if (entry[field] !== undefined && !isNonNegative(entry[field])) throw new Error(`${vaccine} has an invalid ${field}`);
+    }
+    return { ...entry, vaccine };
+  });
+  return { graceDays: schedule.graceDays === undefined ? bundledSchedule.graceDays : schedule.graceDays, series };
+};
+
+// The admin-configured schedule, or the bundled one until one is saved.
+const getSchedule = () => Setting.getValue(SCHEDULE_KEY, bundledSchedule);
+
+const setSchedule = (schedule, updatedBy) => Setting.setValue(SCHEDULE_KEY, validateSchedule(schedule), updatedBy);
+
+// Where one vaccine series stands for a patient. `given` is that vaccine's
+// doses; the highest recorded dose number counts, so history entered from
+// another provider ("dose 3") advances the series without the earlier doses.
+const seriesStatus = (series, dob, given, { now, graceDays }) => {
+  const dosesGiven = given.reduce((max, record) => Math.max(max, record.doseNumber), 0);
+  const last = given.reduce((latest, record) => (!latest || record.administeredAt > latest.administeredAt ? record : latest), null);
+  const base = { vaccine: series.vaccine, name: series.name, dosesGiven, totalDoses: series.doses.length };
+
+  let nextDose;
+  let dueDate;
+  if (dosesGiven < series.doses.length) {
+    const next = series.doses[dosesGiven];
+    nextDose = next.dose;
+    dueDate = addMonths(dob, next.ageMonths);
+    if (last && next.minIntervalDays) {
+      dueDate = new Date(Math.max(dueDate, new Date(last.administeredAt).getTime() + next.minIntervalDays * DAY_MS));
+    }
+    if (series.maxAgeMonths !== undefined && now > addMonths(dob, series.maxAgeMonths)) {
+      return { ...base, nextDose, dueDate: null, status: dosesGiven ? 'incomplete' : 'not-indicated', overdueDays: 0 };
+    }
+  } else if (series.boosterIntervalYears && last) {
+    nextDose = dosesGiven + 1;
+    dueDate = addMonths(last.administeredAt, series.boosterIntervalYears * 12);
+  } else {
+    return { ...base, nextDose: null, dueDate: null, status: 'complete', overdueDays: 0 };
+  }
+
+  const daysPastDue = Math.floor((now - dueDate) / DAY_MS);
+  let status = 'upcoming';
+  if (daysPastDue > graceDays) status = 'overdue';
+  else if (daysPastDue >= 0) status = 'due';
+  return { ...base, nextDose, dueDate, status, overdueDays: status === 'overdue' ? daysPastDue : 0 };
+};
+
+// Status of every series in `schedule` for a patient, computed from
+// Patient.dob and their recorded immunizations. Patients without a date of
+// birth cannot be scheduled and get an empty list. Status is one of
+// upcoming, due, overdue or complete; past a series' maxAgeMonths it is
+// incomplete (started) or not-indicated (never started) instead.
+const computeSchedule = (patient, immunizations, schedule, { now = new Date() } = {}) => {
+  if (!patient.dob) return [];
+  const graceDays = schedule.graceDays === undefined ? bundledSchedule.graceDays : schedule.graceDays;
+  return schedule.series.map((series) => seriesStatus(
+    series,
+    patient.dob,
+    immunizations.filter((record) => normalizeVaccine(record.vaccine) === series.vaccine),
+    { now, graceDays },
+  ));
+};
+
+module.exports = { normalizeVaccine, validateSchedule, getSchedule, setSchedule, computeSchedule };
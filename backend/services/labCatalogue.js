@@ -0,0 +1,17 @@
+const labTests = require('../data/labTests.json');
+
+const byCode = new Map(labTests.map((test) => [test.code, test]));
+
+const findTest = (code) => byCode.get(String(code || '').trim().toUpperCase()) || null;
+
+// 'LL' and 'HH' are critical (phone the ordering doctor), 'L' and 'H' are
+// outside the reference range, null is normal or unranged.
+const flagResult = (value, { low, high, criticalLow, criticalHigh }) => {
+  if (criticalLow !== undefined && value < criticalLow) return 'LL';
+  if (criticalHigh !== undefined && value > criticalHigh) return 'HH';
+  if (low !== undefined && value < low) return 'L';
+  if (high !== undefined && value > high) return 'H';
+  return null;
+};
+
+module.exports = { labTests, findTest, flagResult };
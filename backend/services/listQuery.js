@@ -0,0 +1,98 @@
+// Shared parsing for list endpoints: ?sort=<field>_<asc|desc>&page=&limit=.
+// Routes declare which sort keys they allow; anything else is a 400.
+
+class ListQueryError extends Error {}
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive "contains" match for free-text filters.
+const containsText = (value) => new RegExp(escapeRegex(value), 'i');
+
+const positiveInt = (value, name) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) throw new ListQueryError(`${name} must be a positive integer`);
+  return number;
+};
+
+// `sortFields` maps public sort keys to one or more document paths, e.g.
+// { dob: 'dob', date: ['date', 'time'] }.
+const parseListQuery = (query, { sortFields, defaultSort, maxLimit = 100 }) => {
+  const sortParam = query.sort || defaultSort;
+  let sort;
+  if (sortParam) {
+    const match = /^([A-Za-z]+)(?:_(asc|desc))?$/.exec(String(sortParam));
+    if (!match || !sortFields[match[1]]) {
+      throw new ListQueryError(`Invalid sort key, use one of: ${Object.keys(sortFields).join(', ')}`);
+    }
+    const direction = match[2] === 'desc' ? -1 : 1;
+    sort = {};
+    [].concat(sortFields[match[1]]).forEach((path) => { sort[path] = direction; });
+  }
+
+  // Without page/limit the full list is returned, as these endpoints always did.
+  const paginate = query.page !== undefined || query.limit !== undefined;
+  const page = query.page !== undefined ? positiveInt(query.page, 'page') : 1;
+  const limit = paginate
+    ? Math.min(query.limit !== undefined ? positiveInt(query.limit, 'limit') : maxLimit, maxLimit)
+    : 0;
+
+  return { sort, page, limit, skip: limit ? (page - 1) * limit : 0 };
+};
+
+const runListQuery = async (Model, filter, { sort, limit, skip }, { populate, select } = {}) => {
+  let cursor = Model.find(filter);
+  if (select) cursor = cursor.select(select);
+  if (sort) cursor = cursor.sort(sort);
+  if (limit) cursor = cursor.skip(skip).limit(limit);
+  if (populate) cursor = cursor.populate(populate);
+
+  const [items, total] = await Promise.all([cursor, Model.countDocuments(filter)]);
+  return { items, total };
+};
+
+const PAGINATION_HEADERS = ['X-Total-Count', 'X-Page', 'X-Limit', 'X-Total-Pages'];
+
+// The body stays a plain array; paging metadata travels in headers.
+const sendList = (res, { items, total }, { page, limit }) => {
+  res.set('X-Total-Count', String(total));
+  if (limit) {
+    res.set('X-Page', String(page));
+    res.set('X-Limit', String(limit));
+    res.set('X-Total-Pages', String(Math.max(1, Math.ceil(total / limit))));
+  }
+  res.json(items);
+};
+
+// Wraps a list handler so bad query parameters (including ids that fail to
+// cast) become a 400 and anything else a 500.
+const handleListErrors = (handler) => async (req, res) => {
+  try {
+    await handler(req, res);
+  } catch (err) {
+    const badInput = err instanceof ListQueryError || err.name === 'CastError';
+    res.status(badInput ? 400 : 500).json({ message: err.message });
+  }
+};
+
+const dateRange = (from, to) => {
+  if (!from && !to) return undefined;
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) range.$lte = new Date(to);
+  if (Object.values(range).some((date) => Number.isNaN(date.getTime()))) {
+    throw new ListQueryError('Invalid date range');
+  }
+  return range;
+};
+
+module.exports = {
+  ListQueryError,
+  PAGINATION_HEADERS,
+  escapeRegex,
+  containsText,
+  dateRange,
+  parseListQuery,
+  runListQuery,
+  sendList,
+  handleListErrors,
+};
@@ -0,0 +1,78 @@
+const LoginAttempt = require('../models/loginAttempt');
+const {
+  LOGIN_MAX_FAILURES_PER_USER,
+  LOGIN_MAX_FAILURES_PER_IP,
+  LOGIN_BACKOFF_AFTER,
+  LOGIN_BACKOFF_BASE_MS,
+  LOGIN_LOCKOUT_MINUTES,
+  LOGIN_FAILURE_WINDOW_MINUTES,
+} = require('../config/auth');
+
+const MINUTE_MS = 60 * 1000;
+
+// Usernames are tracked whether or not the account exists, so throttling
+// behaves identically for real and made-up names.
+const userKey = (username) => `user:${String(username).trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const backoffMs = (failures) => {
+  if (failures < LOGIN_BACKOFF_AFTER) return 0;
+  const delay = LOGIN_BACKOFF_BASE_MS * 2 ** (failures - LOGIN_BACKOFF_AFTER);
+  return Math.min(delay, LOGIN_LOCKOUT_MINUTES * MINUTE_MS);
+};
+
+// Returns the number of milliseconds the caller must wait, or 0 if a login
+// attempt may proceed now. Backoff applies per username only; many staff can
+// share one IP behind the hospital NAT, so IPs are only subject to lockout.
+const retryAfterMs = async (username, ip) => {
+  const now = Date.now();
+  const key = userKey(username);
+  const attempts = await LoginAttempt.find({ key: { $in: [key, ipKey(ip)] } });
+
+  return attempts.reduce((wait, attempt) => {
+    const lockWait = attempt.lockedUntil ? attempt.lockedUntil.getTime() - now : 0;
+    const backoffWait = attempt.key === key && attempt.lastFailureAt
+      ? attempt.lastFailureAt.getTime() + backoffMs(attempt.failures) - now
+      : 0;
+    return Math.max(wait, lockWait, backoffWait);
+  }, 0);
+};
+
+const bumpFailures = async (key, maxFailures) => {
+  const now = new Date();
+  const attempt = await LoginAttempt.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + LOGIN_FAILURE_WINDOW_MINUTES * MINUTE_MS) },
+    },
+    { new: true, upsert: true }
+  );
+
+  const alreadyLocked = attempt.lockedUntil && attempt.lockedUntil > now;
+  if (attempt.failures >= maxFailures && !alreadyLocked) {
+    attempt.lockedUntil = new Date(now.getTime() + LOGIN_LOCKOUT_MINUTES * MINUTE_MS);
+    attempt.expiresAt = new Date(Math.max(attempt.expiresAt.getTime(), attempt.lockedUntil.getTime()));
+    await attempt.save();
+  }
+};
+
+const recordFailure = (username, ip) => Promise.all([
+  bumpFailures(userKey(username), LOGIN_MAX_FAILURES_PER_USER),
+  bumpFailures(ipKey(ip), LOGIN_MAX_FAILURES_PER_IP),
+]);
+
+// A successful login clears the username counter only; the IP counter keeps
+// running so one valid account cannot be used to reset an attacker's budget.
+const recordSuccess = (username) => LoginAttempt.deleteOne({ key: userKey(username) });
+
+const unlock = (username) => LoginAttempt.deleteOne({ key: userKey(username) });
+
+const lockStatus = async (username) => {
+  const attempt = await LoginAttempt.findOne({ key: userKey(username) });
+  if (!attempt) return { failures: 0, lockedUntil: null };
+  const locked = attempt.lockedUntil && attempt.lockedUntil > new Date();
+  return { failures: attempt.failures, lockedUntil: locked ? attempt.lockedUntil : null };
+};
+
+module.exports = { retryAfterMs, recordFailure, recordSuccess, unlock, lockStatus };
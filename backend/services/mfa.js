@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Setting = require('../models/setting');
+const { generateSecret, verifyTotp, provisioningUri } = require('./totp');
+const { hashToken } = require('./tokens');
+const { ROLES } = require('../config/roles');
+
+const MFA_TOKEN_TTL = '5m';
+const RECOVERY_CODE_COUNT = 10;
+const REQUIRED_ROLES_KEY = 'mfa.requiredRoles';
+const ISSUER = process.env.MFA_ISSUER || 'Hospital PMS';
+
+// Short-lived token proving the password step passed; it only unlocks the
+// /login/mfa endpoints, never the rest of the API.
+const issueMfaToken = (user) => jwt.sign(
+  { id: user._id, typ: 'mfa_pending' },
+  process.env.JWT_SECRET,
+  { expiresIn: MFA_TOKEN_TTL }
+);
+
+const verifyMfaToken = (token) => {
+  try {
+    const decoded = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+    return decoded.typ === 'mfa_pending' ? decoded.id : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const getRequiredRoles = () => Setting.getValue(REQUIRED_ROLES_KEY, []);
+
+const setRequiredRoles = (roles, updatedBy) => {
+  const unknown = roles.filter((role) => !ROLES.includes(role));
+  if (unknown.length) throw new Error(`Unknown roles: ${unknown.join(', ')}`);
+  return Setting.setValue(REQUIRED_ROLES_KEY, roles, updatedBy);
+};
+
+const isRequiredFor = async (user) => (await getRequiredRoles()).includes(user.role);
+
+// Stores a pending secret; it only becomes active once a code from it is confirmed.
+const beginEnrollment = (user) => {
+  const secret = generateSecret();
+  user.mfa.pendingSecret = secret;
+  return { secret, otpauthUri: provisioningUri({ secret, account: user.username, issuer: ISSUER }) };
+};
+
+const newRecoveryCodes = (user) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  user.mfa.recoveryCodes = codes.map(hashToken);
+  return codes;
+};
+
+// Returns the plain recovery codes on success, or null if the code is wrong.
+const completeEnrollment = (user, code) => {
+  if (!user.mfa.pendingSecret) return null;
+  const step = verifyTotp(user.mfa.pendingSecret, code);
+  if (step === null) return null;
+
+  user.mfa.secret = user.mfa.pendingSecret;
+  user.mfa.pendingSecret = undefined;
+  user.mfa.enabled = true;
+  user.mfa.enrolledAt = new Date();
+  user.mfa.lastUsedStep = step;
+  return newRecoveryCodes(user);
+};
+
+// Accepts either a TOTP code or a one-time recovery code. Used steps and
+// recovery codes are consumed on the user document, so the caller must save it.
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (!user.mfa.enabled) return false;
+
+  if (recoveryCode) {
+    const hash = hashToken(String(recoveryCode).trim().toLowerCase());
+    const index = user.mfa.recoveryCodes.indexOf(hash);
+    if (index === -1) return false;
+    user.mfa.recoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  const step = verifyTotp(user.mfa.secret, code, { afterStep: user.mfa.lastUsedStep });
+  if (step === null) return false;
+  user.mfa.lastUsedStep = step;
+  return true;
+};
+
+const disable = (user) => {
+  user.mfa = { enabled: false, recoveryCodes: [], lastUsedStep: -1 };
+};
+
+module.exports = {
+  issueMfaToken,
+  verifyMfaToken,
+  getRequiredRoles,
+  setRequiredRoles,
+  isRequiredFor,
+  beginEnrollment,
+  completeEnrollment,
+  newRecoveryCodes,
+  verifySecondFactor,
+  disable,
+};
@@ -0,0 +1,199 @@
+// Phonetic and edit-distance helpers for spotting the same person registered
+// under slightly different spellings ("Jon Smyth" vs "John Smith").
+
+const VOWELS = 'AEIOU';
+
+const nameTokens = (name) => String(name || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toUpperCase()
+  .replace(/'/g, '')
+  .replace(/[^A-Z]+/g, ' ')
+  .split(' ')
+  .filter(Boolean);
+
+const SOUNDEX_CODES = {
+  B: '1', F: '1', P: '1', V: '1',
+  C: '2', G: '2', J: '2', K: '2', Q: '2', S: '2', X: '2', Z: '2',
+  D: '3', T: '3',
+  L: '4',
+  M: '5', N: '5',
+  R: '6',
+};
+
+const soundex = (word) => {
+  const letters = String(word).toUpperCase().replace(/[^A-Z]/g, '');
+  if (!letters) return '';
+
+  let code = letters[0];
+  let previous = SOUNDEX_CODES[letters[0]] || '';
+  for (const letter of letters.slice(1)) {
+    const digit = SOUNDEX_CODES[letter] || '';
+    if (digit && digit !== previous) code += digit;
+    // H and W do not separate letters with the same code; vowels do.
+    if (letter !== 'H' && letter !== 'W') previous = digit;
+    if (code.length === 4) break;
+  }
+  return code.padEnd(4, '0');
+};
+
+// Simplified original Metaphone (Lawrence Philips, 1990).
+const metaphone = (word) => {
+  let w = String(word).toUpperCase().replace(/[^A-Z]/g, '');
+  if (!w) return '';
+  if (/^(KN|GN|PN|AE|WR)/.test(w)) w = w.slice(1);
+  if (w[0] === 'X') w = `S${w.slice(1)}`;
+  if (w.startsWith('WH')) w = `W${w.slice(2)}`;
+
+  const isVowel = (c) => Boolean(c) && VOWELS.includes(c);
+  let out = '';
+  for (let i = 0; i < w.length; i++) {
+    const c = w[i];
+    const prev = w[i - 1];
+    const next = w[i + 1];
+    const next2 = w[i + 2];
+    if (c === prev && c !== 'C') continue;
+
+    switch (c) {
+      case 'A': case 'E': case 'I': case 'O': case 'U':
+        if (i === 0) out += c;
+        break;
+      case 'B':
+        if (!(prev === 'M' && i === w.length - 1)) out += 'B';
+        break;
+      case 'C':
+        if (next === 'I' && next2 === 'A') out += 'X';
+        else if (next === 'H') { out += prev === 'S' ? 'K' : 'X'; i++; }
+        else if (next && 'IEY'.includes(next)) { if (prev !== 'S') out += 'S'; }
+        else out += 'K';
+        break;
+      case 'D':
+        if (next === 'G' && next2 && 'EIY'.includes(next2)) { out += 'J'; i++; } else out += 'T';
+        break;
+      case 'G':
+        if (next === 'H') {
+          if (i === 0) { out += 'K'; i++; }
+        } else if (next === 'N' && (i + 2 === w.length || (next2 === 'E' && w[i + 3] === 'D' && i + 4 === w.length))) {
+          // silent as in "sign", "signed"
+        } else if (next && 'IEY'.includes(next) && prev !== 'G') out += 'J';
+        else out += 'K';
+        break;
+      case 'H':
+        if (isVowel(next) && !(prev && 'CSPTG'.includes(prev))) out += 'H';
+        break;
+      case 'K':
+        if (prev !== 'C') out += 'K';
+        break;
+      case 'P':
+        if (next === 'H') { out += 'F'; i++; } else out += 'P';
+        break;
+      case 'Q':
+        out += 'K';
+        break;
+      case 'S':
+        if (next === 'H') { out += 'X'; i++; }
+        else if (next === 'I' && (next2 === 'O' || next2 === 'A')) out += 'X';
+        else out += 'S';
+        break;
+      case 'T':
+        if (next === 'I' && (next2 === 'O' || next2 === 'A')) out += 'X';
+        else if (next === 'H') { out += '0'; i++; }
+        else if (!(next === 'C' && next2 === 'H')) out += 'T';
+        break;
+      case 'V':
+        out += 'F';
+        break;
+      case 'W': case 'Y':
+        if (isVowel(next)) out += c;
+        break;
+      case 'X':
+        out += 'KS';
+        break;
+      case 'Z':
+        out += 'S';
+        break;
+      default:
+        out += c;
+    }
+  }
+  return out;
+};
+
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      nextRow[j] = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+    }
+    row = nextRow;
+  }
+  return row[b.length];
+};
+
+// Stored on each patient so candidates can be found with an indexed query.
+const nameKeys = (name) => {
+  const tokens = nameTokens(name);
+  return {
+    soundex: [...new Set(tokens.map(soundex))],
+    metaphone: [...new Set(tokens.map(metaphone).filter(Boolean))],
+  };
+};
+
+const tokenSimilarity = (a, b) => {
+  if (a === b) return 1;
+  if (metaphone(a) === metaphone(b)) return 0.95;
+  const edit = 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+  return soundex(a) === soundex(b) ? Math.max(edit, 0.85) : edit;
+};
+
+// 0..1 similarity of two full names, insensitive to token order
+// ("Smith John" vs "John Smith").
+const nameSimilarity = (nameA, nameB) => {
+  const a = nameTokens(nameA);
+  const b = nameTokens(nameB);
+  if (!a.length || !b.length) return 0;
+
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  const total = shorter.reduce((sum, token) => sum + Math.max(...longer.map((other) => tokenSimilarity(token, other))), 0);
+  // Penalise extra unmatched tokens lightly (middle names are often omitted).
+  return (total / shorter.length) * (1 - 0.05 * (longer.length - shorter.length));
+};
+
+const sameDay = (a, b) => new Date(a).toISOString().slice(0, 10) === new Date(b).toISOString().slice(0, 10);
+
+// Combines name similarity with date of birth. Returns { score, reasons }.
+const matchScore = (a, b) => {
+  const name = nameSimilarity(a.name, b.name);
+  const reasons = [];
+  if (name >= 0.999) reasons.push('same name');
+  else if (name >= 0.8) reasons.push('similar name');
+
+  let score;
+  if (a.dob && b.dob) {
+    if (sameDay(a.dob, b.dob)) {
+      reasons.push('same date of birth');
+      score = 0.6 * name + 0.4;
+    } else {
+      score = 0.6 * name;
+    }
+  } else {
+    score = 0.85 * name;
+  }
+  return { score: Math.round(score * 100) / 100, reasons };
+};
+
+module.exports = {
+  nameTokens,
+  soundex,
+  metaphone,
+  levenshtein,
+  nameKeys,
+  nameSimilarity,
+  matchScore,
+};
@@ -0,0 +1,29 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Outbound messages (password resets etc.) go through a named transport so a
+// real mail/SMS provider can be plugged in without touching the routes.
+const transports = {
+  console: async (message) => {
+    console.log(`[notifier] to=${message.to} subject="${message.subject}"\n${message.text}`);
+  },
+  file: async (message) => {
+    const file = process.env.NOTIFIER_FILE || path.join(os.tmpdir(), 'pms-notifications.log');
+    const entry = JSON.stringify({ ...message, sentAt: new Date().toISOString() });
+    await fs.promises.appendFile(file, `${entry}\n`);
+  },
+};
+
+const registerTransport = (name, send) => {
+  transports[name] = send;
+};
+
+const send = (message) => {
+  const name = process.env.NOTIFIER_TRANSPORT || 'console';
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown notifier transport: ${name}`);
+  return transport(message);
+};
+
+module.exports = { send, registerTransport };
@@ -0,0 +1,22 @@
+const policy = require('../config/passwordPolicy');
+
+// Returns a list of human-readable problems; an empty list means the password is acceptable.
+const checkPassword = (password, { username } = {}) => {
+  const problems = [];
+  if (typeof password !== 'string' || password.length < policy.minLength) {
+    problems.push(`must be at least ${policy.minLength} characters`);
+    if (typeof password !== 'string') return problems;
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) problems.push('must contain an uppercase letter');
+  if (policy.requireLowercase && !/[a-z]/.test(password)) problems.push('must contain a lowercase letter');
+  if (policy.requireDigit && !/[0-9]/.test(password)) problems.push('must contain a digit');
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) problems.push('must contain a symbol');
+  if (username && password.toLowerCase().includes(String(username).toLowerCase())) {
+    problems.push('must not contain the username');
+  }
+  return problems;
+};
+
+const describeProblems = (problems) => `Password ${problems.join(', ')}`;
+
+module.exports = { checkPassword, describeProblems };
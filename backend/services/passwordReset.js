@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const PasswordResetToken = require('../models/passwordResetToken');
+const notifier = require('./notifier');
+const { hashToken } = require('./tokens');
+const { resetTokenTtlMinutes } = require('../config/passwordPolicy');
+
+const issueResetToken = async (user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  await PasswordResetToken.deleteMany({ user: user._id, usedAt: null });
+  await PasswordResetToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + resetTokenTtlMinutes * 60 * 1000),
+  });
+
+  await notifier.send({
+    to: user.email || user.username,
+    subject: 'Password reset request',
+    text: `A password reset was requested for ${user.username}.\n`
+      + `Use this code within ${resetTokenTtlMinutes} minutes: ${token}\n`
+      + 'If you did not request this, contact your administrator.',
+  });
+};
+
+const findResetToken = (token) => {
+  if (!token) return null;
+  return PasswordResetToken.findOne({
+    tokenHash: hashToken(String(token)),
+    usedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+// Atomically spends the token; false means another request got there first.
+const markResetTokenUsed = async (record) => {
+  const result = await PasswordResetToken.updateOne({ _id: record._id, usedAt: null }, { usedAt: new Date() });
+  return result.modifiedCount === 1;
+};
+
+module.exports = { issueResetToken, findResetToken, markResetTokenUsed };
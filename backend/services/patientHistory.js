@@ -0,0 +1,99 @@
+const PatientVersion = require('../models/patientVersion');
+
+// Bookkeeping fields that are not part of the clinical/demographic record.
+const UNTRACKED = [
+  '_id', '__v', 'createdAt', 'updatedAt', 'mrn', 'nameKeys',
+  'mergedInto', 'mergedAt', 'archivedAt', 'archivedBy', 'archiveReason', 'archivedWith',
+];
+
+// Restoring a version rolls back demographics only. Care team, department
+// and the structured clinical lists keep their current state, so an old
+// version can never change who sees the record or silently drop an allergy
+// recorded since.
+const NOT_RESTORED = ['careTeam', 'department', 'allergies', 'problems', 'medications'];
+
+const MAX_RETRIES = 3;
+
+// Plain JSON-comparable copy: ObjectIds and Dates become strings.
+const tracked = (doc) => {
+  if (!doc) return {};
+  const state = JSON.parse(JSON.stringify(doc));
+  UNTRACKED.forEach((field) => delete state[field]);
+  return state;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Leaf paths that differ between two tracked states. Nested objects are
+// walked (address.city); arrays are compared whole.
+const diffStates = (before, after, prefix = '') => {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const oldValue = before ? before[key] : undefined;
+    const newValue = after ? after[key] : undefined;
+    if (isPlainObject(oldValue) || isPlainObject(newValue)) {
+      changes.push(...diffStates(
+        isPlainObject(oldValue) ? oldValue : {},
+        isPlainObject(newValue) ? newValue : {},
+        path,
+      ));
+    } else if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ path, old: oldValue === undefined ? null : oldValue, new: newValue === undefined ? null : newValue });
+    }
+  }
+  return changes;
+};
+
+const latestVersion = async (patientId) => {
+  const latest = await PatientVersion.findOne({ patient: patientId }).sort({ version: -1 }).select('version');
+  return latest ? latest.version : 0;
+};
+
+// Called from the Patient save hooks. `previous` is the stored document
+// before the save (null for a new patient).
+const recordVersion = async (patient, previous) => {
+  const snapshot = tracked(patient.toObject());
+  const changes = diffStates(tracked(previous), snapshot);
+  if (previous && !changes.length) return null;
+
+  const { actor, restoredFrom } = patient.$locals;
+  let action = 'update';
+  if (!previous) action = 'create';
+  else if (restoredFrom) action = 'restore';
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await PatientVersion.create({
+        patient: patient._id,
+        version: (await latestVersion(patient._id)) + 1,
+        action,
+        changedBy: actor,
+        restoredFrom,
+        changes,
+        snapshot,
+      });
+    } catch (err) {
+      // Two saves raced for the same version number; take the next one.
+      if (err.code !== 11000 || attempt >= MAX_RETRIES) throw err;
+    }
+  }
+};
+
+// Applies the demographics of `version` to `patient` and saves, which records
+// the restore as a new version.
+const restoreVersion = async (patient, version, user) => {
+  const state = version.snapshot || {};
+  const current = tracked(patient.toObject());
+  const fields = new Set([...Object.keys(current), ...Object.keys(state)]);
+  for (const field of fields) {
+    if (NOT_RESTORED.includes(field)) continue;
+    patient.set(field, state[field]);
+  }
+  patient.$locals.actor = user.id;
+  patient.$locals.restoredFrom = version.version;
+  return patient.save();
+};
+
+module.exports = { diffStates, recordVersion, restoreVersion, NOT_RESTORED };
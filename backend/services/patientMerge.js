@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const Patient = require('../models/patient');
+const PatientMerge = require('../models/patientMerge');
+
+const UNDO_WINDOW_DAYS = Number(process.env.MERGE_UNDO_DAYS) || 30;
+const MAX_ALIAS_DEPTH = 10;
+
+// Every collection that points at a patient. Merging moves these references
+// to the survivor; add new patient-linked models here.
+const LINKED_RECORDS = [
+  { model: 'Appointment', field: 'patientId' },
+  { model: 'Billing', field: 'patientId' },
+  { model: 'Vital', field: 'patient' },
+  { model: 'Document', field: 'patient' },
+  { model: 'ClinicalNote', field: 'patient' },
+  { model: 'Prescription', field: 'patient' },
+  { model: 'LabOrder', field: 'patient' },
+  { model: 'LabResult', field: 'patient' },
+  { model: 'Admission', field: 'patient' },
+  { model: 'DischargeSummary', field: 'patient' },
+  { model: 'Immunization', field: 'patient' },
+  { model: 'Bed', field: 'occupant' },
+  { model: 'BreakGlassAccess', field: 'patient' },
+];
+
+// Embedded lists on the patient document itself; the merged patient's
+// entries are copied onto the survivor.
+const EMBEDDED_RECORDS = ['allergies', 'problems', 'medications'];
+
+class MergeError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Follows mergedInto links so an id that was merged away still resolves to
+// the record that now holds its data.
+const resolveAlias = async (patient) => {
+  let current = patient;
+  for (let depth = 0; current && current.mergedInto && depth < MAX_ALIAS_DEPTH; depth++) {
+    current = await Patient.findById(current.mergedInto);
+  }
+  return current;
+};
+
+const addMissing = (target, ids) => {
+  const existing = new Set(target.map(String));
+  const added = ids.filter((id) => !existing.has(String(id)));
+  target.push(...added);
+  return added;
+};
+
+const mergePatients = async ({ survivorId, mergedId, user, reason }) => {
+  if (String(survivorId) === String(mergedId)) throw new MergeError('Cannot merge a patient into itself');
+
+  const [survivor, merged] = await Promise.all([Patient.findById(survivorId), Patient.findById(mergedId)]);
+  if (!survivor || !merged) throw new MergeError('Patient not found', 404);
+  if (survivor.mergedInto || merged.mergedInto) throw new MergeError('Patient has already been merged');
+  if (survivor.archivedAt || merged.archivedAt) throw new MergeError('Archived patients cannot be merged');
+  const inpatientStays = await mongoose.model('Admission')
+    .countDocuments({ patient: { $in: [survivor._id, merged._id] }, status: 'admitted' });
+  if (inpatientStays > 1) throw new MergeError('Both patients are currently admitted; discharge one stay first', 409);
+  survivor.$locals.actor = user.id;
+  merged.$locals.actor = user.id;
+
+  const moved = [];
+  for (const { model, field } of LINKED_RECORDS) {
+    const Model = mongoose.model(model);
+    const ids = await Model.distinct('_id', { [field]: merged._id });
+    if (!ids.length) continue;
+    await Model.updateMany({ _id: { $in: ids } }, { [field]: survivor._id });
+    moved.push({ model, field, ids });
+  }
+
+  const embeddedCopied = [];
+  for (const field of EMBEDDED_RECORDS) {
+    const items = merged[field].map((item) => item.toObject());
+    if (!items.length) continue;
+    survivor[field].push(...items);
+    embeddedCopied.push({ field, ids: items.map((item) => item._id) });
+  }
+
+  const careTeamAdded = {
+    doctors: addMissing(survivor.careTeam.doctors, merged.careTeam.doctors),
+    nurses: addMissing(survivor.careTeam.nurses, merged.careTeam.nurses),
+  };
+  await survivor.save();
+
+  merged.mergedInto = survivor._id;
+  merged.mergedAt = new Date();
+  await merged.save();
+
+  return PatientMerge.create({
+    survivor: survivor._id,
+    merged: merged._id,
+    performedBy: user.id,
+    reason,
+    moved,
+    embeddedCopied,
+    careTeamAdded,
+    undoDeadline: new Date(Date.now() + UNDO_WINDOW_DAYS * 24 * 60 * 60 * 1000),
+  });
+};
+
+// Moves back exactly the records the merge moved; anything linked to the
+// survivor afterwards stays where it is.
+const undoMerge = async ({ mergeId, user }) => {
+  const merge = await PatientMerge.findById(mergeId);
+  if (!merge) throw new MergeError('Merge not found', 404);
+  if (merge.undoneAt) throw new MergeError('Merge has already been undone');
+  if (merge.undoDeadline < new Date()) throw new MergeError('The undo window for this merge has passed');
+
+  const [survivor, merged] = await Promise.all([Patient.findById(merge.survivor), Patient.findById(merge.merged)]);
+  if (!survivor || !merged) throw new MergeError('Patient not found', 404);
+  if (survivor.mergedInto) throw new MergeError('The surviving patient has since been merged; undo that merge first');
+  survivor.$locals.actor = user.id;
+  merged.$locals.actor = user.id;
+
+  for (const { model, field, ids } of merge.moved) {
+    await mongoose.model(model).updateMany({ _id: { $in: ids }, [field]: survivor._id }, { [field]: merged._id });
+  }
+
+  for (const { field, ids } of merge.embeddedCopied) {
+    survivor[field].pull(...ids);
+  }
+
+  const removeAdded = (list, added) => list.filter((id) => !added.some((a) => String(a) === String(id)));
+  survivor.careTeam.doctors = removeAdded(survivor.careTeam.doctors, merge.careTeamAdded.doctors);
+  survivor.careTeam.nurses = removeAdded(survivor.careTeam.nurses, merge.careTeamAdded.nurses);
+  await survivor.save();
+
+  merged.mergedInto = null;
+  merged.mergedAt = undefined;
+  await merged.save();
+
+  merge.undoneAt = new Date();
+  merge.undoneBy = user.id;
+  return merge.save();
+};
+
+module.exports = { LINKED_RECORDS, MergeError, resolveAlias, mergePatients, undoMerge };
@@ -0,0 +1,82 @@
+const Patient = require('../models/patient');
+const BreakGlassAccess = require('../models/breakGlassAccess');
+const { PATIENT_SCOPES } = require('../config/roles');
+
+const scopesFor = (user) => PATIENT_SCOPES[user.role] || [];
+
+const hasFullAccess = (user) => scopesFor(user).includes('all');
+
+// Mongo filter selecting the patients visible to `user`. Merged-away records
+// are only aliases of their survivor and never listed.
+const patientFilter = (user) => {
+  if (hasFullAccess(user)) return { mergedInto: null };
+
+  const scopes = scopesFor(user);
+  const clauses = [];
+  if (scopes.includes('careTeam')) {
+    clauses.push({ 'careTeam.doctors': user.id }, { 'careTeam.nurses': user.id });
+  }
+  if (scopes.includes('department') && user.department) {
+    clauses.push({ department: user.department });
+  }
+  return clauses.length ? { mergedInto: null, $or: clauses } : { _id: null };
+};
+
+const canAccessPatient = (user, patient) => {
+  if (hasFullAccess(user)) return true;
+
+  const scopes = scopesFor(user);
+  const isMember = (ids) => (ids || []).some((id) => String(id) === String(user.id));
+  if (scopes.includes('careTeam') && patient.careTeam
+    && (isMember(patient.careTeam.doctors) || isMember(patient.careTeam.nurses))) {
+    return true;
+  }
+  return Boolean(scopes.includes('department') && user.department && patient.department === user.department);
+};
+
+const activeOverride = (user, patientId) => BreakGlassAccess.findOne({
+  user: user.id,
+  patient: patientId,
+  expiresAt: { $gt: new Date() },
+});
+
+// Normal scope first, then any unexpired break-the-glass override.
+const canAccessPatientId = async (user, patientId) => {
+  if (hasFullAccess(user)) return true;
+  const patient = await Patient.findById(patientId).select('careTeam department');
+  if (!patient) return false;
+  return canAccessPatient(user, patient) || Boolean(await activeOverride(user, patient._id));
+};
+
+// Ids of the visible patients, or null when the user can see everyone.
+// Overridden patients are included so their appointments and bills open too.
+const visiblePatientIds = async (user) => {
+  if (hasFullAccess(user)) return null;
+  const [scoped, overridden] = await Promise.all([
+    Patient.distinct('_id', patientFilter(user)),
+    BreakGlassAccess.distinct('patient', { user: user.id, expiresAt: { $gt: new Date() } }),
+  ]);
+  return [...scoped, ...overridden];
+};
+
+// Doctors also see appointments booked with them, even for patients outside their care team.
+const appointmentFilter = async (user) => {
+  const ids = await visiblePatientIds(user);
+  if (!ids) return {};
+  return { $or: [{ patientId: { $in: ids } }, { doctorId: user.id }] };
+};
+
+const billingFilter = async (user) => {
+  const ids = await visiblePatientIds(user);
+  return ids ? { patientId: { $in: ids } } : {};
+};
+
+module.exports = {
+  patientFilter,
+  canAccessPatient,
+  activeOverride,
+  canAccessPatientId,
+  visiblePatientIds,
+  appointmentFilter,
+  billingFilter,
+};
@@ -0,0 +1,57 @@
+const Prescription = require('../models/prescription');
+const { findDrug, interactionsBetween, allergyMatch } = require('./drugCatalogue');
+
+// Contraindicated interactions and direct allergy matches stop the order;
+// everything else is returned as a warning and stored on the prescription.
+const BLOCKING_SEVERITIES = ['contraindicated'];
+
+// Catalogue drugs the patient is currently taking: active entries on the
+// medication list plus unexpired active prescriptions.
+const activeDrugs = async (patient, { excludeId } = {}) => {
+  const filter = { patient: patient._id, status: 'active', archivedAt: null, endDate: { $gte: new Date() } };
+  if (excludeId) filter._id = { $ne: excludeId };
+  const prescriptions = await Prescription.find(filter).select('drug');
+
+  const names = [
+    ...patient.medications.filter((medication) => medication.status === 'active').map((medication) => medication.name),
+    ...prescriptions.map((prescription) => prescription.drug),
+  ];
+  const found = names.map(findDrug).filter(Boolean);
+  return [...new Map(found.map((drug) => [drug.name, drug])).values()];
+};
+
+const checkPrescription = async (patient, drugName, options) => {
+  const drug = findDrug(drugName);
+  if (!drug) return { drug: null, blocking: [], warnings: [] };
+
+  const findings = [];
+  for (const allergy of patient.allergies) {
+    const match = allergyMatch(drug, allergy.substance);
+    if (match) {
+      findings.push({
+        type: 'allergy',
+        severity: match === 'allergy' ? 'contraindicated' : 'moderate',
+        with: allergy.substance,
+        message: match === 'allergy'
+          ? `Patient is allergic to ${allergy.substance}`
+          : `Possible cross-reactivity with recorded ${allergy.substance} allergy`,
+      });
+    }
+  }
+  for (const current of await activeDrugs(patient, options)) {
+    if (current.name === drug.name) {
+      findings.push({ type: 'duplicate', severity: 'moderate', with: current.name, message: `Patient is already taking ${current.name}` });
+    }
+    for (const rule of interactionsBetween(drug, current)) {
+      findings.push({ type: 'interaction', severity: rule.severity, with: current.name, message: rule.description });
+    }
+  }
+
+  return {
+    drug,
+    blocking: findings.filter((finding) => BLOCKING_SEVERITIES.includes(finding.severity)),
+    warnings: findings.filter((finding) => !BLOCKING_SEVERITIES.includes(finding.severity)),
+  };
+};
+
+module.exports = { checkPrescription, activeDrugs };
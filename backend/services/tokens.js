@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/session');
+const { ACCESS_TOKEN_TTL, REFRESH_TOKEN_TTL_DAYS } = require('../config/auth');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TokenError extends Error {}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const signAccessToken = (user, session) => jwt.sign(
+  { id: user._id, role: user.role, sid: session._id },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const createSession = async (user, req) => {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS),
+    lastUsedAt: new Date(),
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+  });
+  return { token: signAccessToken(user, session), refreshToken };
+};
+
+// Exchanges a refresh token for a new access/refresh pair. Presenting a token
+// that was already rotated out means it leaked, so the whole session is revoked.
+const rotateSession = async (refreshToken) => {
+  if (!refreshToken) throw new TokenError('Refresh token required');
+  const hash = hashToken(String(refreshToken));
+
+  const session = await Session.findOne({ refreshTokenHash: hash }).populate('user');
+  if (!session) {
+    const reused = await Session.findOne({ previousTokenHash: hash });
+    if (reused && !reused.revokedAt) {
+      reused.revokedAt = new Date();
+      reused.revokedReason = 'refresh token reuse';
+      await reused.save();
+    }
+    throw new TokenError('Refresh token is not valid');
+  }
+  if (!session.isActive() || !session.user || !session.user.active) {
+    throw new TokenError('Refresh token is not valid');
+  }
+
+  const nextToken = newRefreshToken();
+  session.previousTokenHash = session.refreshTokenHash;
+  session.refreshTokenHash = hashToken(nextToken);
+  session.lastUsedAt = new Date();
+  await session.save();
+
+  return { user: session.user, token: signAccessToken(session.user, session), refreshToken: nextToken };
+};
+
+const revokeSession = (sessionId, reason) => Session.updateOne(
+  { _id: sessionId, revokedAt: null },
+  { revokedAt: new Date(), revokedReason: reason }
+);
+
+const revokeUserSessions = (userId, reason, exceptSessionId) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  return Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+module.exports = {
+  TokenError,
+  hashToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+};
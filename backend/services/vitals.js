@@ -0,0 +1,34 @@
+const { VITAL_RANGES } = require('../config/vitals');
+
+const computeBmi = (weightKg, heightCm) => {
+  if (!weightKg || !heightCm) return undefined;
+  const metres = heightCm / 100;
+  return Math.round((weightKg / (metres * metres)) * 10) / 10;
+};
+
+// 'critical-low' | 'low' | 'high' | 'critical-high', or null when normal or
+// the measure has no reference range. The limits themselves count as normal,
+// the same boundary rule lab results use (see labCatalogue.flagResult).
+const flagValue = (measure, value) => {
+  const range = VITAL_RANGES[measure];
+  if (!range || value === undefined || value === null) return null;
+  if (range.criticalLow !== undefined && value < range.criticalLow) return 'critical-low';
+  if (range.criticalHigh !== undefined && value > range.criticalHigh) return 'critical-high';
+  if (range.low !== undefined && value < range.low) return 'low';
+  if (range.high !== undefined && value > range.high) return 'high';
+  return null;
+};
+
+// Reshapes readings (oldest first) into one [{ takenAt, value, flag }] series
+// per measure, the shape chart libraries take directly.
+const buildSeries = (readings) => {
+  const series = {};
+  for (const measure of Object.keys(VITAL_RANGES)) {
+    series[measure] = readings
+      .filter((reading) => reading[measure] !== undefined && reading[measure] !== null)
+      .map((reading) => ({ takenAt: reading.takenAt, value: reading[measure], flag: flagValue(measure, reading[measure]) }));
+  }
+  return series;
+};
+
+module.exports = { computeBmi, flagValue, buildSeries };
@@ -7,6 +7,7 @@ import Dashboard from './components/Dashboard';
 import PatientList from './components/PatientList';
 import AppointmentList from './components/AppointmentList';
 import Billing from './components/Billing';
+import Portal from './components/Portal';
 import { useSelector, useDispatch } from 'react-redux';
 import { fetchPatients } from './actions/patientActions';
 import { fetchAppointments } from './actions/appointmentActions';
@@ -15,29 +16,31 @@ import api from './services/api';
 
 function App() {
   const isAuthenticated = useSelector(state => state.auth.isAuthenticated);
+  const isPatient = useSelector(state => state.auth.role === 'patient');
   const dispatch = useDispatch();
 
   useEffect(() => {
-    if (isAuthenticated) {
+    if (isAuthenticated && !isPatient) {
       dispatch(fetchPatients());
       dispatch(fetchAppointments());
-      api.get('/users').then(response => {
+      api.get('/users/directory').then(response => {
         dispatch(fetchUsersSuccess(response.data))
       })
     }
-  }, [isAuthenticated, dispatch]);
+  }, [isAuthenticated, isPatient, dispatch]);
 
   return (
     <Provider store={store}>
       <Router>
         <Switch>
           <Route path="/login" component={LoginForm} />
-          <PrivateRoute path="/dashboard" component={Dashboard} isAuthenticated={isAuthenticated} />
-          <PrivateRoute path="/patients" component={PatientList} isAuthenticated={isAuthenticated} />
-          <PrivateRoute path="/appointments" component={AppointmentList} isAuthenticated={isAuthenticated} />
-          <PrivateRoute path="/billing" component={Billing} isAuthenticated={isAuthenticated} />
+          <PrivateRoute path="/dashboard" component={Dashboard} isAuthenticated={isAuthenticated} isAllowed={!isPatient} />
+          <PrivateRoute path="/patients" component={PatientList} isAuthenticated={isAuthenticated} isAllowed={!isPatient} />
+          <PrivateRoute path="/appointments" component={AppointmentList} isAuthenticated={isAuthenticated} isAllowed={!isPatient} />
+          <PrivateRoute path="/billing" component={Billing} isAuthenticated={isAuthenticated} isAllowed={!isPatient} />
+          <PrivateRoute path="/portal" component={Portal} isAuthenticated={isAuthenticated} isAllowed={isPatient} />
           <Route exact path="/">
-            {isAuthenticated ? <Redirect to="/dashboard" /> : <Redirect to="/login" />}
+            {isAuthenticated ? <Redirect to={isPatient ? '/portal' : '/dashboard'} /> : <Redirect to="/login" />}
           </Route>
         </Switch>
       </Router>
@@ -45,12 +48,15 @@ function App() {
   );
 }
 
-const PrivateRoute = ({ component: Component, isAuthenticated, ...rest }) => (
+// Patients and staff each get their own half of the app; a signed-in user who
+// lands on the other half is sent home rather than to the login page.
+const PrivateRoute = ({ component: Component, isAuthenticated, isAllowed = true, ...rest }) => (
   <Route
     {...rest}
-    render={(props) =>
-      isAuthenticated ? <Component {...props} /> : <Redirect to="/login" />
-    }
+    render={(props) => {
+      if (!isAuthenticated) return <Redirect to="/login" />;
+      return isAllowed ? <Component {...props} /> : <Redirect to="/" />;
+    }}
   />
 );
 
@@ -6,16 +6,33 @@ export const loginSuccess = (user) => ({ type: 'LOGIN_SUCCESS', payload: user })
 export const loginFailure = (error) => ({ type: 'LOGIN_FAILURE', payload: error });
 export const logoutAction = () => ({ type: 'LOGOUT' });
 export const fetchUsersSuccess = (users) => ({ type: 'FETCH_USERS_SUCCESS', payload: users});
+export const mfaRequired = (challenge) => ({ type: 'MFA_REQUIRED', payload: challenge });
+export const mfaEnrollmentStarted = (enrollment) => ({ type: 'MFA_ENROLLMENT_STARTED', payload: enrollment });
+export const recoveryCodesAcknowledged = () => ({ type: 'RECOVERY_CODES_ACKNOWLEDGED' });
+
+const finishLogin = async (dispatch, user, history) => {
+  dispatch(loginSuccess(user));
+  // Patients only ever get the portal; the staff directory is not open to them
+  if (user.role === 'patient') {
+    if (!user.recoveryCodes) history.push('/portal');
+    return;
+  }
+  if (!user.recoveryCodes) history.push('/dashboard');
+  const users = await api.get('/users/directory')
+  dispatch(fetchUsersSuccess(users.data))
+};
 
 export const login = (username, password, history) => async (dispatch) => {
   dispatch(loginRequest());
   try {
     const user = await AuthService.login(username, password);
-    if (user) {
-      dispatch(loginSuccess(user));
-      history.push('/dashboard');
-      const users = await api.get('/users')
-      dispatch(fetchUsersSuccess(users.data))
+    if (user && user.mfaRequired) {
+      dispatch(mfaRequired(user));
+      if (user.enrollmentRequired) {
+        dispatch(mfaEnrollmentStarted(await AuthService.startMfaEnrollment(user.mfaToken)));
+      }
+    } else if (user) {
+      await finishLogin(dispatch, user, history);
     } else {
       dispatch(loginFailure('Invalid credentials'));
     }
@@ -24,7 +41,21 @@ export const login = (username, password, history) => async (dispatch) => {
   }
 };
 
-export const logout = () => (dispatch) => {
-  AuthService.logout();
+export const verifyMfa = (mfaToken, code, history) => async (dispatch) => {
+  dispatch(loginRequest());
+  try {
+    const user = await AuthService.verifyMfa(mfaToken, code);
+    if (user) {
+      await finishLogin(dispatch, user, history);
+    } else {
+      dispatch(loginFailure('Invalid verification code'));
+    }
+  } catch (error) {
+    dispatch(loginFailure(error.message));
+  }
+};
+
+export const logout = () => async (dispatch) => {
+  await AuthService.logout();
   dispatch(logoutAction());
 };
\ No newline at end of file
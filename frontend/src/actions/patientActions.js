@@ -4,10 +4,11 @@ export const fetchPatientsRequest = () => ({ type: 'FETCH_PATIENTS_REQUEST' });
 export const fetchPatientsSuccess = (patients) => ({ type: 'FETCH_PATIENTS_SUCCESS', payload: patients });
 export const fetchPatientsFailure = (error) => ({ type: 'FETCH_PATIENTS_FAILURE', payload: error });
 
-export const fetchPatients = () => async (dispatch) => {
+// params: { name, condition, sort: 'dob_desc', page, limit }
+export const fetchPatients = (params = {}) => async (dispatch) => {
   dispatch(fetchPatientsRequest());
   try {
-    const response = await api.get('/patients');
+    const response = await api.get('/patients', { params });
     dispatch(fetchPatientsSuccess(response.data));
   } catch (error) {
     dispatch(fetchPatientsFailure(error.message));
@@ -1,26 +1,73 @@
 import React, { useState } from 'react';
-import { useDispatch } from 'react-redux';
-import { login } from '../actions/authActions';
+import { useDispatch, useSelector } from 'react-redux';
+import { login, verifyMfa, recoveryCodesAcknowledged } from '../actions/authActions';
 import { useHistory } from 'react-router-dom';
+import { QRCodeSVG } from 'qrcode.react';
 
 function LoginForm() {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
   const dispatch = useDispatch();
   const history = useHistory();
+  const { mfa, recoveryCodes, error } = useSelector((state) => state.auth);
 
   const handleSubmit = (e) => {
     e.preventDefault();
     dispatch(login(username, password, history));
   };
 
+  const handleMfaSubmit = (e) => {
+    e.preventDefault();
+    dispatch(verifyMfa(mfa.mfaToken, code, history));
+  };
+
+  const handleContinue = () => {
+    dispatch(recoveryCodesAcknowledged());
+    history.push('/dashboard');
+  };
+
+  if (recoveryCodes) {
+    return (
+      <div>
+        <h2>Save your recovery codes</h2>
+        <p>Each code can be used once if you lose access to your authenticator app.</p>
+        <ul>
+          {recoveryCodes.map((recoveryCode) => (
+            <li key={recoveryCode}><code>{recoveryCode}</code></li>
+          ))}
+        </ul>
+        <button type="button" onClick={handleContinue}>I have saved these codes</button>
+      </div>
+    );
+  }
+
+  if (mfa) {
+    return (
+      <form onSubmit={handleMfaSubmit}>
+        {mfa.enrollment && (
+          <div>
+            <p>Your role requires two-factor authentication. Scan this code with your authenticator app:</p>
+            <QRCodeSVG value={mfa.enrollment.otpauthUri} size={192} />
+            <p>If you cannot scan it, add this link: <code>{mfa.enrollment.otpauthUri}</code></p>
+            <p>Or enter the key manually: <code>{mfa.enrollment.secret}</code></p>
+          </div>
+        )}
+        <input type="text" inputMode="numeric" autoComplete="one-time-code" placeholder="6-digit code" value={code} onChange={(e) => setCode(e.target.value)} />
+        <button type="submit">Verify</button>
+        {error && <p>{error}</p>}
+      </form>
+    );
+  }
+
   return (
     <form onSubmit={handleSubmit}>
       <input type="text" placeholder="Username" value={username} onChange={(e) => setUsername(e.target.value)} />
       <input type="password" placeholder="Password" value={password} onChange={(e) => setPassword(e.target.value)} />
       <button type="submit">Login</button>
+      {error && <p>{error}</p>}
     </form>
   );
 }
 
-export default LoginForm;
\ No newline at end of file
+export default LoginForm;
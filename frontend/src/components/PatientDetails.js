@@ -1,17 +1,126 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import api from '../services/api';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+const formatAddress = (address) => {
+  if (!address) return '—';
+  const { line1, line2, city, state, postalCode, country } = address;
+  const parts = [line1, line2, [city, state, postalCode].filter(Boolean).join(' '), country];
+  return parts.filter(Boolean).join(', ') || '—';
+};
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024
+  ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  : `${Math.ceil(bytes / 1024)} KB`);
+
+// Downloads go through the API client so the auth header is sent, then are
+// handed to the browser as a blob link.
+const downloadDocument = async (patientId, document) => {
+  const response = await api.get(`/patients/${patientId}/documents/${document._id}/download`, { responseType: 'blob' });
+  const url = URL.createObjectURL(response.data);
+  const link = window.document.createElement('a');
+  link.href = url;
+  link.download = document.originalName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
 
 function PatientDetails({ patient }) {
+  const [documents, setDocuments] = useState([]);
+  const patientId = patient && patient._id;
+
+  useEffect(() => {
+    if (!patientId) return;
+    api.get(`/patients/${patientId}/documents`)
+      .then((response) => setDocuments(response.data))
+      .catch(() => setDocuments([]));
+  }, [patientId]);
+
   if (!patient) return <div>Select a patient</div>;
 
+  const {
+    emergencyContact = {}, insurance = {}, allergies = [], problems = [], medications = [],
+  } = patient;
+
   return (
     <div>
       <h2>Patient Details</h2>
+      <p>MRN: {patient.mrn}</p>
       <p>Name: {patient.name}</p>
-      <p>DOB: {patient.dob}</p>
+      <p>DOB: {formatDate(patient.dob)}</p>
+      <p>Sex: {patient.sex}</p>
+      <p>Blood Group: {patient.bloodGroup}</p>
+      <p>Preferred Language: {patient.preferredLanguage || '—'}</p>
+
+      <h3>Contact</h3>
+      <p>Phone: {patient.phone || '—'}</p>
+      <p>Email: {patient.email || '—'}</p>
+      <p>Address: {formatAddress(patient.address)}</p>
+
+      <h3>Emergency Contact</h3>
+      <p>
+        {emergencyContact.name
+          ? `${emergencyContact.name} (${emergencyContact.relationship || 'relationship not given'}) ${emergencyContact.phone || ''}`
+          : '—'}
+      </p>
+
+      <h3>Insurance</h3>
+      <p>Provider: {insurance.provider || '—'}</p>
+      <p>Policy Number: {insurance.policyNumber || '—'}</p>
+      <p>Group Number: {insurance.groupNumber || '—'}</p>
+      <p>Valid Until: {formatDate(insurance.validUntil)}</p>
+
+      <h3>Allergies</h3>
+      {allergies.length ? (
+        <ul>
+          {allergies.map((allergy) => (
+            <li key={allergy._id}>
+              {allergy.substance} — {allergy.severity}{allergy.reaction ? ` (${allergy.reaction})` : ''}
+            </li>
+          ))}
+        </ul>
+      ) : <p>No known allergies</p>}
+
+      <h3>Problem List</h3>
+      {problems.length ? (
+        <ul>
+          {problems.map((problem) => (
+            <li key={problem._id}>
+              {problem.code && `${problem.code} `}{problem.description} — {problem.status}, onset {formatDate(problem.onset)}
+            </li>
+          ))}
+        </ul>
+      ) : <p>—</p>}
+
+      <h3>Current Medications</h3>
+      {medications.some((medication) => medication.status === 'active') ? (
+        <ul>
+          {medications.filter((medication) => medication.status === 'active').map((medication) => (
+            <li key={medication._id}>
+              {[medication.name, medication.dose, medication.route, medication.frequency].filter(Boolean).join(' ')}
+            </li>
+          ))}
+        </ul>
+      ) : <p>—</p>}
+
+      <h3>Documents</h3>
+      {documents.length ? (
+        <ul>
+          {documents.map((document) => (
+            <li key={document._id}>
+              <button type="button" onClick={() => downloadDocument(patientId, document)}>
+                {document.title || document.originalName}
+              </button>
+              {' '}{document.category} · {formatSize(document.size)} · {formatDate(document.createdAt)}
+            </li>
+          ))}
+        </ul>
+      ) : <p>No documents</p>}
+
       <p>Medical History: {patient.medicalHistory}</p>
-      {/* ... other patient details */}
     </div>
   );
 }
 
-export default PatientDetails;
\ No newline at end of file
+export default PatientDetails;
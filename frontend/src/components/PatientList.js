@@ -15,7 +15,7 @@ function PatientList() {
       <h2>Patient List</h2>
       <ul>
         {patients.map((patient) => (
-          <li key={patient._id}>{patient.name}</li>
+          <li key={patient._id}>{patient.mrn} — {patient.name}</li>
         ))}
       </ul>
     </div>
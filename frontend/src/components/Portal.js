@@ -0,0 +1,115 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import api from '../services/api';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+const formatAmount = (amount) => (Number(amount) || 0).toFixed(2);
+
+// Self-service view for patient accounts. Everything comes from /portal,
+// which only ever answers with the signed-in patient's own record.
+function Portal() {
+  const [profile, setProfile] = useState(null);
+  const [appointments, setAppointments] = useState([]);
+  const [billing, setBilling] = useState({ invoices: [], totalBilled: 0 });
+  const [doctors, setDoctors] = useState([]);
+  const [doctorId, setDoctorId] = useState('');
+  const [date, setDate] = useState('');
+  const [time, setTime] = useState('');
+  const [reason, setReason] = useState('');
+  const [error, setError] = useState(null);
+
+  const loadAppointments = useCallback(() => api.get('/portal/appointments')
+    .then((response) => setAppointments(response.data)), []);
+
+  useEffect(() => {
+    Promise.all([
+      api.get('/portal/me').then((response) => setProfile(response.data)),
+      api.get('/portal/invoices').then((response) => setBilling(response.data)),
+      api.get('/portal/doctors').then((response) => setDoctors(response.data)),
+      loadAppointments(),
+    ]).catch((err) => setError(err.response ? err.response.data.message : err.message));
+  }, [loadAppointments]);
+
+  const handleRequest = async (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      await api.post('/portal/appointments', { doctorId, date, time, reason });
+      setDoctorId('');
+      setDate('');
+      setTime('');
+      setReason('');
+      await loadAppointments();
+    } catch (err) {
+      setError(err.response ? err.response.data.message : err.message);
+    }
+  };
+
+  const handleCancel = async (appointment) => {
+    setError(null);
+    try {
+      await api.post(`/portal/appointments/${appointment._id}/cancel`);
+      await loadAppointments();
+    } catch (err) {
+      setError(err.response ? err.response.data.message : err.message);
+    }
+  };
+
+  if (!profile) return <div>{error || 'Loading…'}</div>;
+
+  return (
+    <div>
+      <h2>My Health Record</h2>
+      {error && <p>{error}</p>}
+      <p>MRN: {profile.mrn}</p>
+      <p>Name: {profile.name}</p>
+      <p>DOB: {formatDate(profile.dob)}</p>
+      <p>Phone: {profile.phone || '—'}</p>
+      <p>Email: {profile.email || '—'}</p>
+      <p>Insurance: {profile.insurance.provider || '—'} {profile.insurance.policyNumber || ''}</p>
+
+      <h3>My Appointments</h3>
+      {appointments.length ? (
+        <ul>
+          {appointments.map((appointment) => (
+            <li key={appointment._id}>
+              {formatDate(appointment.date)} {appointment.time}
+              {appointment.doctor && ` with ${appointment.doctor.username}`} — {appointment.status}
+              {appointment.status !== 'cancelled' && new Date(appointment.date) > new Date() && (
+                <button type="button" onClick={() => handleCancel(appointment)}>Cancel</button>
+              )}
+            </li>
+          ))}
+        </ul>
+      ) : <p>No appointments</p>}
+
+      <h3>Request an Appointment</h3>
+      <form onSubmit={handleRequest}>
+        <select value={doctorId} onChange={(e) => setDoctorId(e.target.value)}>
+          <option value="">Select Doctor</option>
+          {doctors.map((doctor) => (
+            <option key={doctor._id} value={doctor._id}>{doctor.username}</option>
+          ))}
+        </select>
+        <input type="date" value={date} onChange={(e) => setDate(e.target.value)} />
+        <input type="time" value={time} onChange={(e) => setTime(e.target.value)} />
+        <textarea placeholder="Reason for visit" value={reason} onChange={(e) => setReason(e.target.value)} />
+        <button type="submit">Request Appointment</button>
+      </form>
+
+      <h3>My Invoices</h3>
+      {billing.invoices.length ? (
+        <ul>
+          {billing.invoices.map((invoice) => (
+            <li key={invoice._id}>
+              {formatDate(invoice.date)} {invoice.description || 'Invoice'} — {formatAmount(invoice.amount)}
+            </li>
+          ))}
+        </ul>
+      ) : <p>No invoices</p>}
+      <p>Total billed: {formatAmount(billing.totalBilled)}</p>
+    </div>
+  );
+}
+
+export default Portal;
@@ -5,6 +5,10 @@ import App from './App';
 import reportWebVitals from './reportWebVitals';
 import { Provider } from 'react-redux';
 import store from './store'; // Import the store
+import { onSessionExpired } from './services/api';
+import { logoutAction } from './actions/authActions';
+
+onSessionExpired(() => store.dispatch(logoutAction()));
 
 ReactDOM.render(
   <React.StrictMode>
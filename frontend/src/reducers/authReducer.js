@@ -1,9 +1,12 @@
 const initialState = {
     isAuthenticated: localStorage.getItem('token') ? true : false,
     user: null,
+    role: localStorage.getItem('role'),
     loading: false,
     error: null,
-    users: []
+    users: [],
+    mfa: null,
+    recoveryCodes: null
   };
   
   const authReducer = (state = initialState, action) => {
@@ -11,11 +14,17 @@ const initialState = {
       case 'LOGIN_REQUEST':
         return { ...state, loading: true, error: null };
       case 'LOGIN_SUCCESS':
-        return { ...state, loading: false, isAuthenticated: true, user: action.payload };
+        return { ...state, loading: false, isAuthenticated: true, user: action.payload, role: action.payload.role, mfa: null, recoveryCodes: action.payload.recoveryCodes || null };
       case 'LOGIN_FAILURE':
         return { ...state, loading: false, error: action.payload };
+      case 'MFA_REQUIRED':
+        return { ...state, loading: false, mfa: action.payload };
+      case 'MFA_ENROLLMENT_STARTED':
+        return { ...state, mfa: { ...state.mfa, enrollment: action.payload } };
+      case 'RECOVERY_CODES_ACKNOWLEDGED':
+        return { ...state, recoveryCodes: null };
       case 'LOGOUT':
-        return { ...state, isAuthenticated: false, user: null };
+        return { ...state, isAuthenticated: false, user: null, role: null, mfa: null, recoveryCodes: null };
       case 'FETCH_USERS_SUCCESS':
           return {...state, users: action.payload};
       default:
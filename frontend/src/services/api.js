@@ -14,4 +14,55 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
-export default api;
\ No newline at end of file
+// Access tokens are short-lived: on a 401, swap the refresh token for a new
+// pair once and replay the request. Concurrent 401s share one refresh call.
+let refreshRequest = null;
+let sessionExpiredHandler = () => {};
+
+// Called once the refresh token is rejected too; the app uses it to log out,
+// which sends the user back to the login page.
+export const onSessionExpired = (handler) => {
+  sessionExpiredHandler = handler;
+};
+
+const refreshTokens = () => {
+  if (!refreshRequest) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshRequest = axios.post(`${API_URL}/users/refresh`, { refreshToken })
+      .then((response) => {
+        localStorage.setItem('token', response.data.token);
+        localStorage.setItem('refreshToken', response.data.refreshToken);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+  return refreshRequest;
+};
+
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const original = error.config;
+    const canRefresh = error.response && error.response.status === 401
+      && !original._retry && localStorage.getItem('refreshToken');
+
+    if (!canRefresh) return Promise.reject(error);
+
+    original._retry = true;
+    try {
+      const token = await refreshTokens();
+      original.headers.Authorization = `Bearer ${token}`;
+      return api(original);
+    } catch (refreshError) {
+      localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
+      localStorage.removeItem('role');
+      sessionExpiredHandler();
+      return Promise.reject(error);
+    }
+  }
+);
+
+export default api;
@@ -1,14 +1,24 @@
 import api from './api';
 
+const storeSession = (data) => {
+  localStorage.setItem('token', data.token);
+  localStorage.setItem('refreshToken', data.refreshToken);
+  // Kept so a reload still knows whether to show the staff app or the portal
+  localStorage.setItem('role', data.role);
+};
+
 const AuthService = {
   login: async (username, password) => {
     try {
       const response = await api.post('/users/login', { username, password });
       if (response.data.token) {
         // Save the token in localStorage
-        localStorage.setItem('token', response.data.token);
+        storeSession(response.data);
         return response.data; // Return the user data or token as needed
       }
+      if (response.data.mfaRequired) {
+        return response.data; // Caller must complete the second step with verifyMfa
+      }
       return null; // Return null if no token is present
     } catch (error) {
       // Handle any error that may occur during the login request
@@ -17,9 +27,33 @@ const AuthService = {
     }
   },
 
-  logout: () => {
-    // Remove token from localStorage upon logout
+  // Starts authenticator enrollment during login; returns { secret, otpauthUri }
+  startMfaEnrollment: async (mfaToken) => {
+    const response = await api.post('/users/login/mfa/setup', { mfaToken });
+    return response.data;
+  },
+
+  verifyMfa: async (mfaToken, code) => {
+    try {
+      const response = await api.post('/users/login/mfa', { mfaToken, code });
+      storeSession(response.data);
+      return response.data;
+    } catch (error) {
+      console.error('MFA verification failed:', error.response || error.message);
+      return null;
+    }
+  },
+
+  logout: async () => {
+    // Revoke the session server-side, then drop the tokens regardless of the outcome
+    try {
+      await api.post('/users/logout');
+    } catch (error) {
+      console.error('Logout failed:', error.response || error.message);
+    }
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('role');
   },
 
   // Optional: You can add a method to check if the user is logged in
@@ -50,7 +50,7 @@ describe('Admin Role & Management Tests', () => {
 
   // TC016: Non-admin cannot list users
   test('TC016: Non-admin cannot list all users', async () => {
-    const token = await AuthHelper.getAuthToken({ role: 'user' });
+    const token = await AuthHelper.getAuthToken('doctor6'); // doctor
     const response = await request(app)
       .get('/api/users')
       .set('Authorization', `Bearer ${token}`);
@@ -68,8 +68,8 @@ describe('Admin Role & Management Tests', () => {
       .set('Authorization', `Bearer ${authToken}`)
       .send({
         username: 'tempuser',
-        password: 'pass123',
-        role: 'user'
+        password: 'temppass123',
+        role: 'receptionist'
       });
 
     const userId = newUser.body._id;
@@ -94,7 +94,7 @@ describe('Admin Role & Management Tests', () => {
       .send({
         username: 'tobedeleted',
         password: 'delete123',
-        role: 'user'
+        role: 'receptionist'
       });
 
     const userId = newUser.body._id;
@@ -111,7 +111,7 @@ describe('Admin Role & Management Tests', () => {
 
   // TC019: Prevent deleting last admin
   test('TC019: Prevent deleting only remaining admin', async () => {
-    // Assume `doctor1` is the last admin; block deletion in system logic
+    // `doctor1` is the signed-in admin; self-deletion and last-admin removal are both refused
     const response = await request(app)
       .delete(`/api/users/doctor1`)
       .set('Authorization', `Bearer ${authToken}`);
@@ -121,4 +121,38 @@ describe('Admin Role & Management Tests', () => {
 
     expect(passed).toBe(true);
   });
+
+  // TC082: Deactivate and reactivate a staff account
+  test('TC082: Admin can deactivate and reactivate a user', async () => {
+    const deactivate = await request(app)
+      .post('/api/users/doctor7/deactivate')
+      .set('Authorization', `Bearer ${authToken}`);
+    const blockedLogin = await request(app)
+      .post('/api/users/login')
+      .send({ username: 'doctor7', password: 'password123' });
+    const reactivate = await request(app)
+      .post('/api/users/doctor7/reactivate')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    const passed = deactivate.body.active === false && blockedLogin.status === 400 && reactivate.body.active === true;
+    testReporter.recordResult('TC082', 'Deactivate and reactivate user', passed ? 'passed' : 'failed');
+
+    expect(deactivate.status).toBe(200);
+    expect(blockedLogin.status).toBe(400);
+    expect(reactivate.body.active).toBe(true);
+  });
+
+  // TC083: Staff directory is available to non-admins
+  test('TC083: Non-admin can read the staff directory', async () => {
+    const token = await AuthHelper.getAuthToken('doctor9'); // receptionist
+    const response = await request(app)
+      .get('/api/users/directory?role=doctor')
+      .set('Authorization', `Bearer ${token}`);
+
+    const passed = response.status === 200 && response.body.every(u => u.role === 'doctor');
+    testReporter.recordResult('TC083', 'Staff directory for non-admins', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(200);
+    expect(response.body.every(u => u.password === undefined)).toBe(true);
+  });
 });
@@ -0,0 +1,200 @@
+import request from 'supertest';
+import app from '../backend/app';
+import { TestDatabase, AuthHelper, TestReporter } from './pms.test.js';
+
+describe('Admission and Bed Management Tests', () => {
+  let adminToken;
+  let doctorToken;
+  let otherDoctorToken;
+  let testReporter;
+  let wardId;
+  let bedIds;
+  let patientId;
+  let admissionId;
+
+  beforeAll(async () => {
+    testReporter = new TestReporter();
+    await TestDatabase.setup();
+    adminToken = await AuthHelper.getAuthToken();
+    doctorToken = await AuthHelper.getAuthToken('doctor6');
+    otherDoctorToken = await AuthHelper.getAuthToken('doctor7');
+
+    const ward = await request(app)
+      .post('/api/wards')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Ward 4B', department: 'Medicine' });
+    wardId = ward.body._id;
+    const room = await request(app)
+      .post(`/api/wards/${wardId}/rooms`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Room 1' });
+    bedIds = [];
+    for (const label of ['A', 'B']) {
+      const bed = await request(app)
+        .post(`/api/wards/${wardId}/rooms/${room.body._id}/beds`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ label });
+      bedIds.push(bed.body._id);
+    }
+
+    const created = await request(app)
+      .post('/api/patients')
+      .set('Authorization', `Bearer ${doctorToken}`)
+      .send({ name: 'Inpatient One', dob: '1955-02-14' });
+    patientId = created.body._id;
+  });
+
+  afterAll(async () => {
+    await TestDatabase.teardown();
+    testReporter.generateReport();
+  });
+
+  // TC140: One patient per bed
+  test('TC140: Admitting into an occupied bed is rejected', async () => {
+    const admitted = await request(app)
+      .post(`/api/patients/${patientId}/admissions`)
+      .set('Authorization', `Bearer ${doctorToken}`)
+      .send({ bedId: bedIds[0], reason: 'Community-acquired pneumonia' });
+    admissionId = admitted.body._id;
+
+    const other = await request(app)
+      .post('/api/patients')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Inpatient Two', dob: '1960-07-01' });
+    const clash = await request(app)
+      .post(`/api/patients/${other.body._id}/admissions`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ bedId: bedIds[0] });
+
+    const passed = admitted.status === 201 && clash.status === 409;
+    testReporter.recordResult('TC140', 'One patient per bed', passed ? 'passed' : 'failed');
+
+    expect(admitted.status).toBe(201);
+    expect(clash.status).toBe(409);
+  });
+
+  // TC141: Movement history
+  test('TC141: Transfer and discharge are kept in the movement history', async () => {
+    const transferred = await request(app)
+      .post(`/api/patients/${patientId}/admissions/${admissionId}/transfer`)
+      .set('Authorization', `Bearer ${doctorToken}`)
+      .send({ bedId: bedIds[1], note: 'Closer to nursing station' });
+    const discharged = await request(app)
+      .post(`/api/patients/${patientId}/admissions/${admissionId}/discharge`)
+      .set('Authorization', `Bearer ${doctorToken}`)
+      .send({ disposition: 'Home' });
+
+    const types = (discharged.body.movements || []).map(m => m.type);
+    const passed = transferred.status === 200 && discharged.status === 200
+      && types.join(',') === 'admit,transfer,discharge';
+    testReporter.recordResult('TC141', 'Admission movement history', passed ? 'passed' : 'failed');
+
+    expect(transferred.status).toBe(200);
+    expect(discharged.body.status).toBe('discharged');
+    expect(types).toEqual(['admit', 'transfer', 'discharge']);
+  });
+
+  // TC142: Occupancy board
+  test('TC142: Board shows occupancy and hides patients outside the viewer\'s scope', async () => {
+    await request(app)
+      .post(`/api/patients/${patientId}/admissions`)
+      .set('Authorization', `Bearer ${doctorToken}`)
+      .send({ bedId: bedIds[1] });
+
+    const own = await request(app)
+      .get(`/api/wards/board?ward=${wardId}`)
+      .set('Authorization', `Bearer ${doctorToken}`);
+    const other = await request(app)
+      .get(`/api/wards/board?ward=${wardId}`)
+      .set('Authorization', `Bearer ${otherDoctorToken}`);
+
+    const bedB = (board) => board.body[0].rooms[0].beds.find(b => b.label === 'B');
+    const passed = own.status === 200 && own.body[0].totals.occupied === 1
+      && bedB(own).patient && bedB(own).patient.name === 'Inpatient One'
+      && bedB(other).status === 'occupied' && bedB(other).patient === null;
+    testReporter.recordResult('TC142', 'Bed occupancy board', passed ? 'passed' : 'failed');
+
+    expect(own.body[0].totals).toEqual({ beds: 2, occupied: 1, available: 1, maintenance: 0 });
+    expect(bedB(own).patient.name).toBe('Inpatient One');
+    expect(bedB(other).patient).toBeNull();
+  });
+
+  // TC152: Partial ward update
+  test('TC152: Renaming a ward keeps its other fields', async () => {
+    const response = await request(app)
+      .put(`/api/wards/${wardId}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Ward 4B North' });
+
+    const passed = response.status === 200 && response.body.name === 'Ward 4B North'
+      && response.body.department === 'Medicine' && response.body.active === true;
+    testReporter.recordResult('TC152', 'Partial ward update', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(200);
+    expect(response.body.department).toBe('Medicine');
+    expect(response.body.active).toBe(true);
+  });
+
+  // TC153: Closing a ward
+  test('TC153: Only wards without occupied beds can be closed', async () => {
+    const occupied = await request(app)
+      .put(`/api/wards/${wardId}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ active: false });
+    const empty = await request(app)
+      .post('/api/wards')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Ward 9 Overflow', department: 'Surgery' });
+    const closed = await request(app)
+      .put(`/api/wards/${empty.body._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ active: false });
+
+    const passed = occupied.status === 409 && closed.status === 200
+      && closed.body.active === false && closed.body.name === 'Ward 9 Overflow';
+    testReporter.recordResult('TC153', 'Closing a ward', passed ? 'passed' : 'failed');
+
+    expect(occupied.status).toBe(409);
+    expect(closed.status).toBe(200);
+    expect(closed.body.active).toBe(false);
+    expect(closed.body.department).toBe('Surgery');
+  });
+
+  // TC160: Closed wards take no admissions
+  test('TC160: Admitting into a bed on a closed ward is rejected', async () => {
+    const ward = await request(app)
+      .post('/api/wards')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Ward 7 Annex', department: 'Medicine' });
+    const room = await request(app)
+      .post(`/api/wards/${ward.body._id}/rooms`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Room 1' });
+    const bed = await request(app)
+      .post(`/api/wards/${ward.body._id}/rooms/${room.body._id}/beds`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ label: 'A' });
+    await request(app)
+      .put(`/api/wards/${ward.body._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ active: false });
+
+    const created = await request(app)
+      .post('/api/patients')
+      .set('Authorization', `Bearer ${doctorToken}`)
+      .send({ name: 'Inpatient Three', dob: '1971-11-03' });
+    const response = await request(app)
+      .post(`/api/patients/${created.body._id}/admissions`)
+      .set('Authorization', `Bearer ${doctorToken}`)
+      .send({ bedId: bed.body._id });
+    const closedWard = await request(app)
+      .get(`/api/wards/${ward.body._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    const passed = response.status === 409 && closedWard.body.beds[0].status === 'available';
+    testReporter.recordResult('TC160', 'Closed ward rejects admission', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(409);
+    expect(closedWard.body.beds[0].status).toBe('available');
+  });
+});
@@ -80,4 +80,20 @@ describe(' Appointment Management Tests', () => {
     expect(response.status).toBe(200);
     expect(Array.isArray(response.body)).toBe(true);
   });
+
+  // TC162: Malformed ids are not found
+  test('TC162: Malformed appointment and bill ids return 404', async () => {
+    const appointment = await request(app)
+      .get('/api/appointments/not-an-id')
+      .set('Authorization', `Bearer ${authToken}`);
+    const bill = await request(app)
+      .get('/api/billing/not-an-id')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    const passed = appointment.status === 404 && bill.status === 404;
+    testReporter.recordResult('TC162', 'Malformed ids return 404', passed ? 'passed' : 'failed');
+
+    expect(appointment.status).toBe(404);
+    expect(bill.status).toBe(404);
+  });
 });
@@ -0,0 +1,91 @@
+import request from 'supertest';
+import app from '../backend/app';
+import Patient from '../backend/models/patient';
+import { TestDatabase, AuthHelper, TestReporter } from './pms.test.js';
+
+describe('Break-the-Glass Emergency Access Tests', () => {
+  let authToken;
+  let doctorToken;
+  let testReporter;
+  let patient;
+
+  beforeAll(async () => {
+    testReporter = new TestReporter();
+    await TestDatabase.setup();
+    authToken = await AuthHelper.getAuthToken();
+    doctorToken = await AuthHelper.getAuthToken('doctor7');
+    [patient] = await Patient.find().limit(1);
+  });
+
+  afterAll(async () => {
+    await TestDatabase.teardown();
+    testReporter.generateReport();
+  });
+
+  // TC099: A reason is mandatory
+  test('TC099: Override without a reason is rejected', async () => {
+    const response = await request(app)
+      .post(`/api/patients/${patient._id}/break-glass`)
+      .set('Authorization', `Bearer ${doctorToken}`)
+      .send({ reason: '' });
+
+    const passed = response.status === 400;
+    testReporter.recordResult('TC099', 'Break-glass requires reason', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(400);
+  });
+
+  // TC100: Override opens the record
+  test('TC100: Override grants access to the restricted record', async () => {
+    const before = await request(app)
+      .get(`/api/patients/${patient._id}`)
+      .set('Authorization', `Bearer ${doctorToken}`);
+    const grant = await request(app)
+      .post(`/api/patients/${patient._id}/break-glass`)
+      .set('Authorization', `Bearer ${doctorToken}`)
+      .send({ reason: 'Unconscious patient in ED, need allergy history' });
+    const after = await request(app)
+      .get(`/api/patients/${patient._id}`)
+      .set('Authorization', `Bearer ${doctorToken}`);
+
+    const passed = before.status === 403 && grant.status === 201 && after.status === 200;
+    testReporter.recordResult('TC100', 'Break-glass grants access', passed ? 'passed' : 'failed');
+
+    expect(before.body.breakGlassAvailable).toBe(true);
+    expect(grant.body.expiresAt).toBeDefined();
+    expect(after.status).toBe(200);
+  });
+
+  // TC101: Compliance report
+  test('TC101: Admin report lists overrides with access trail', async () => {
+    const response = await request(app)
+      .get('/api/break-glass')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    const [entry] = response.body;
+    const passed = response.status === 200 && entry.user.username === 'doctor7' && entry.accesses.length >= 1;
+    testReporter.recordResult('TC101', 'Break-glass compliance report', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(200);
+    expect(entry.reason).toMatch(/Unconscious/);
+    expect(entry.accesses.length).toBeGreaterThanOrEqual(1);
+  });
+
+  // TC161: Malformed input is a client error
+  test('TC161: Bad report dates give 400 and a malformed patient id gives 404', async () => {
+    const report = await request(app)
+      .get('/api/break-glass?from=garbage')
+      .set('Authorization', `Bearer ${authToken}`);
+    const grant = await request(app)
+      .post('/api/patients/not-an-id/break-glass')
+      .set('Authorization', `Bearer ${doctorToken}`)
+      .send({ reason: 'Unconscious on arrival' });
+
+    const passed = report.status === 400 && grant.status === 404 && grant.body.message === 'Patient not found';
+    testReporter.recordResult('TC161', 'Break-glass input validation', passed ? 'passed' : 'failed');
+
+    expect(report.status).toBe(400);
+    expect(grant.status).toBe(404);
+    expect(grant.body.message).toBe('Patient not found');
+  });
+});
@@ -0,0 +1,81 @@
+import request from 'supertest';
+import app from '../backend/app';
+import Patient from '../backend/models/patient';
+import { TestDatabase, AuthHelper, TestReporter } from './pms.test.js';
+
+describe('Structured Medical History Tests', () => {
+  let authToken;
+  let testReporter;
+  let patient;
+
+  beforeAll(async () => {
+    testReporter = new TestReporter();
+    await TestDatabase.setup();
+    authToken = await AuthHelper.getAuthToken();
+    patient = await Patient.create({ name: 'History Patient', dob: '1983-02-14' });
+  });
+
+  afterAll(async () => {
+    await TestDatabase.teardown();
+    testReporter.generateReport();
+  });
+
+  // TC116: Allergy sub-resource
+  test('TC116: Record and list an allergy', async () => {
+    const created = await request(app)
+      .post(`/api/patients/${patient._id}/allergies`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ substance: 'Penicillin', reaction: 'Hives', severity: 'moderate' });
+
+    const list = await request(app)
+      .get(`/api/patients/${patient._id}/allergies`)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    const passed = created.status === 201 && list.body.length === 1 && list.body[0].substance === 'Penicillin';
+    testReporter.recordResult('TC116', 'Allergy CRUD', passed ? 'passed' : 'failed');
+
+    expect(created.status).toBe(201);
+    expect(list.body).toHaveLength(1);
+    expect(list.body[0].severity).toBe('moderate');
+  });
+
+  // TC117: Problem list drives the condition filter
+  test('TC117: Coded problem is found by the condition filter and can be resolved', async () => {
+    const created = await request(app)
+      .post(`/api/patients/${patient._id}/problems`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ code: 'e11.9', description: 'Type 2 diabetes mellitus', onset: '2015-03-01' });
+
+    const search = await request(app)
+      .get('/api/patients?condition=E11.9')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    const updated = await request(app)
+      .put(`/api/patients/${patient._id}/problems/${created.body._id}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ status: 'resolved' });
+
+    const passed = created.status === 201 && search.body.some(p => p._id === String(patient._id))
+      && updated.body.status === 'resolved';
+    testReporter.recordResult('TC117', 'Problem list and condition filter', passed ? 'passed' : 'failed');
+
+    expect(created.body.code).toBe('E11.9');
+    expect(search.body.map(p => p._id)).toContain(String(patient._id));
+    expect(updated.status).toBe(200);
+    expect(updated.body.status).toBe('resolved');
+  });
+
+  // TC118: Clinical write permission
+  test('TC118: Receptionist cannot edit medications', async () => {
+    const token = await AuthHelper.getAuthToken('doctor9'); // receptionist
+    const response = await request(app)
+      .post(`/api/patients/${patient._id}/medications`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Metformin', dose: '500 mg', frequency: 'twice daily' });
+
+    const passed = response.status === 403;
+    testReporter.recordResult('TC118', 'Medication edits need clinical role', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(403);
+  });
+});
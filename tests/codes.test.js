@@ -0,0 +1,74 @@
+import request from 'supertest';
+import app from '../backend/app';
+import Patient from '../backend/models/patient';
+import { TestDatabase, AuthHelper, TestReporter } from './pms.test.js';
+
+describe('ICD-10 Catalogue Tests', () => {
+  let authToken;
+  let testReporter;
+  let patient;
+
+  beforeAll(async () => {
+    testReporter = new TestReporter();
+    await TestDatabase.setup();
+    authToken = await AuthHelper.getAuthToken();
+    patient = await Patient.create({ name: 'Coded Patient', dob: '1970-10-10' });
+  });
+
+  afterAll(async () => {
+    await TestDatabase.teardown();
+    testReporter.generateReport();
+  });
+
+  // TC119: Code prefix and keyword lookup
+  test('TC119: Lookup by code prefix and by keyword', async () => {
+    const byCode = await request(app)
+      .get('/api/codes/icd10?q=e11')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    const byKeyword = await request(app)
+      .get('/api/codes/icd10?q=asthma uncomplicated')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    const passed = byCode.status === 200 && byCode.body.every(c => c.code.startsWith('E11'))
+      && byKeyword.body.some(c => c.code === 'J45.909');
+    testReporter.recordResult('TC119', 'ICD-10 lookup', passed ? 'passed' : 'failed');
+
+    expect(byCode.body.map(c => c.code)).toContain('E11.9');
+    expect(byCode.body.every(c => c.code.startsWith('E11'))).toBe(true);
+    expect(byKeyword.body.map(c => c.code)).toContain('J45.909');
+  });
+
+  // TC120: Problem list rejects unknown codes
+  test('TC120: Problem with an unknown code is rejected', async () => {
+    const response = await request(app)
+      .post(`/api/patients/${patient._id}/problems`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ code: 'Q99.999', description: 'Made-up condition' });
+
+    const passed = response.status === 400;
+    testReporter.recordResult('TC120', 'Problem code validation', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(400);
+  });
+
+  // TC121: Bill diagnoses must be known codes
+  test('TC121: Bill diagnoses are validated against the catalogue', async () => {
+    const rejected = await request(app)
+      .post('/api/billing')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ patientId: patient._id, amount: 80, date: new Date(), diagnoses: ['XX1'] });
+
+    const accepted = await request(app)
+      .post('/api/billing')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ patientId: patient._id, amount: 80, date: new Date(), diagnoses: ['i10'] });
+
+    const passed = rejected.status === 400 && accepted.status === 201;
+    testReporter.recordResult('TC121', 'Bill diagnosis validation', passed ? 'passed' : 'failed');
+
+    expect(rejected.status).toBe(400);
+    expect(accepted.status).toBe(201);
+    expect(accepted.body.diagnoses).toEqual(['I10']);
+  });
+});
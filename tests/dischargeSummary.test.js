@@ -0,0 +1,136 @@
+import request from 'supertest';
+import app from '../backend/app';
+import User from '../backend/models/user';
+import { TestDatabase, AuthHelper, TestReporter } from './pms.test.js';
+
+describe('Discharge Summary Tests', () => {
+  let adminToken;
+  let doctorToken;
+  let testReporter;
+  let summaryUrl;
+
+  beforeAll(async () => {
+    testReporter = new TestReporter();
+    await TestDatabase.setup();
+    adminToken = await AuthHelper.getAuthToken();
+    doctorToken = await AuthHelper.getAuthToken('doctor6');
+    const doctor = await User.findOne({ username: 'doctor6' });
+
+    const ward = await request(app)
+      .post('/api/wards')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Ward 2A' });
+    const room = await request(app)
+      .post(`/api/wards/${ward.body._id}/rooms`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Room 3' });
+    const bed = await request(app)
+      .post(`/api/wards/${ward.body._id}/rooms/${room.body._id}/beds`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ label: 'A' });
+
+    const patient = await request(app)
+      .post('/api/patients')
+      .set('Authorization', `Bearer ${doctorToken}`)
+      .send({ name: 'Discharged Patient', dob: '1948-09-30' });
+    const patientUrl = `/api/patients/${patient.body._id}`;
+    await request(app)
+      .post(`${patientUrl}/problems`)
+      .set('Authorization', `Bearer ${doctorToken}`)
+      .send({ code: 'J18.9', description: 'Pneumonia' });
+
+    const admission = await request(app)
+      .post(`${patientUrl}/admissions`)
+      .set('Authorization', `Bearer ${doctorToken}`)
+      .send({ bedId: bed.body._id, attendingDoctor: doctor._id, reason: 'Fever and productive cough' });
+    await request(app)
+      .post(`${patientUrl}/prescriptions`)
+      .set('Authorization', `Bearer ${doctorToken}`)
+      .send({ drug: 'amoxicillin', dose: '500 mg', frequency: 'three times daily', durationDays: 7 });
+    await request(app)
+      .post(`${patientUrl}/admissions/${admission.body._id}/discharge`)
+      .set('Authorization', `Bearer ${doctorToken}`)
+      .send({ disposition: 'Home' });
+    await request(app)
+      .post('/api/appointments')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ patientId: patient.body._id, doctorId: doctor._id, date: new Date(Date.now() + 14 * 86400000), time: '10:30' });
+
+    summaryUrl = `${patientUrl}/admissions/${admission.body._id}/summary`;
+  });
+
+  afterAll(async () => {
+    await TestDatabase.teardown();
+    testReporter.generateReport();
+  });
+
+  // TC143: Draft is pre-filled from the stay
+  test('TC143: Draft summary is assembled from the admission record', async () => {
+    const response = await request(app)
+      .post(summaryUrl)
+      .set('Authorization', `Bearer ${doctorToken}`)
+      .send({});
+
+    const body = response.body;
+    const passed = response.status === 201 && body.status === 'draft'
+      && body.reasonForAdmission === 'Fever and productive cough'
+      && (body.diagnoses || []).some(d => d.code === 'J18.9')
+      && (body.medications || []).some(m => m.name === 'amoxicillin')
+      && (body.followUp || []).length === 1;
+    testReporter.recordResult('TC143', 'Discharge summary draft pre-filled', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(201);
+    expect(body.disposition).toBe('Home');
+    expect(body.diagnoses.map(d => d.code)).toContain('J18.9');
+    expect(body.medications.map(m => m.name)).toContain('amoxicillin');
+    expect(body.followUp[0].time).toBe('10:30');
+  });
+
+  // TC144: Edit, sign, then locked
+  test('TC144: Signed summary can no longer be edited', async () => {
+    const edited = await request(app)
+      .put(summaryUrl)
+      .set('Authorization', `Bearer ${doctorToken}`)
+      .send({ hospitalCourse: 'Treated with oral antibiotics; afebrile by day 3.' });
+    const signed = await request(app)
+      .post(`${summaryUrl}/sign`)
+      .set('Authorization', `Bearer ${doctorToken}`);
+    const late = await request(app)
+      .put(summaryUrl)
+      .set('Authorization', `Bearer ${doctorToken}`)
+      .send({ hospitalCourse: 'Changed after signing' });
+
+    const passed = edited.status === 200 && signed.body.status === 'signed' && late.status === 409;
+    testReporter.recordResult('TC144', 'Discharge summary signing locks it', passed ? 'passed' : 'failed');
+
+    expect(edited.body.hospitalCourse).toMatch(/oral antibiotics/);
+    expect(signed.status).toBe(200);
+    expect(signed.body.signedAt).toBeTruthy();
+    expect(late.status).toBe(409);
+  });
+
+  // TC145: Exports
+  test('TC145: Summary exports as plain text and PDF', async () => {
+    const text = await request(app)
+      .get(`${summaryUrl}/export?format=text`)
+      .set('Authorization', `Bearer ${doctorToken}`);
+    const pdf = await request(app)
+      .get(`${summaryUrl}/export?format=pdf`)
+      .set('Authorization', `Bearer ${doctorToken}`)
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+
+    const passed = text.status === 200 && text.text.includes('J18.9') && text.text.includes('Signed by doctor6')
+      && pdf.status === 200 && pdf.body.slice(0, 4).toString() === '%PDF';
+    testReporter.recordResult('TC145', 'Discharge summary export', passed ? 'passed' : 'failed');
+
+    expect(text.headers['content-type']).toMatch(/text\/plain/);
+    expect(text.text).toContain('MEDICATIONS ON DISCHARGE');
+    expect(pdf.headers['content-type']).toMatch(/application\/pdf/);
+    expect(pdf.body.slice(0, 4).toString()).toBe('%PDF');
+  });
+});
@@ -0,0 +1,85 @@
+import crypto from 'crypto';
+import request from 'supertest';
+import app from '../backend/app';
+import Patient from '../backend/models/patient';
+import { TestDatabase, AuthHelper, TestReporter } from './pms.test.js';
+
+describe('Patient Document Tests', () => {
+  let authToken;
+  let testReporter;
+  let patient;
+  let documentId;
+  const pdf = Buffer.from('%PDF-1.4\n% referral letter\n%%EOF\n');
+
+  beforeAll(async () => {
+    testReporter = new TestReporter();
+    await TestDatabase.setup();
+    authToken = await AuthHelper.getAuthToken();
+    patient = await Patient.create({ name: 'Document Patient', dob: '1991-05-05' });
+  });
+
+  afterAll(async () => {
+    await TestDatabase.teardown();
+    testReporter.generateReport();
+  });
+
+  // TC125: Upload and download round trip
+  test('TC125: Uploaded document downloads unchanged with its checksum', async () => {
+    const upload = await request(app)
+      .post(`/api/patients/${patient._id}/documents`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .field('category', 'referral')
+      .field('title', 'Cardiology referral')
+      .attach('file', pdf, { filename: 'cardiology referral.pdf', contentType: 'application/pdf' });
+
+    documentId = upload.body._id;
+    const download = await request(app)
+      .get(`/api/patients/${patient._id}/documents/${documentId}/download`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .buffer(true)
+      .parse((res, done) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => done(null, Buffer.concat(chunks)));
+      });
+
+    const expected = crypto.createHash('sha256').update(pdf).digest('hex');
+    const passed = upload.status === 201 && upload.body.checksum === expected
+      && download.status === 200 && Buffer.compare(download.body, pdf) === 0;
+    testReporter.recordResult('TC125', 'Document upload and download', passed ? 'passed' : 'failed');
+
+    expect(upload.status).toBe(201);
+    expect(upload.body.checksum).toBe(expected);
+    expect(upload.body.storageKey).toBeUndefined();
+    expect(download.headers['content-type']).toBe('application/pdf');
+    expect(download.headers['content-disposition']).toBe('attachment; filename="cardiology referral.pdf"');
+    expect(Buffer.compare(download.body, pdf)).toBe(0);
+  });
+
+  // TC126: Content must match the declared type
+  test('TC126: Upload whose content does not match its MIME type is rejected', async () => {
+    const response = await request(app)
+      .post(`/api/patients/${patient._id}/documents`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .field('category', 'consent')
+      .attach('file', Buffer.from('#!/bin/sh\necho hi\n'), { filename: 'consent.pdf', contentType: 'application/pdf' });
+
+    const passed = response.status === 415;
+    testReporter.recordResult('TC126', 'Document MIME validation', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(415);
+  });
+
+  // TC127: Download access control
+  test('TC127: Billing staff cannot download clinical documents', async () => {
+    const token = await AuthHelper.getAuthToken('doctor10'); // billing
+    const response = await request(app)
+      .get(`/api/patients/${patient._id}/documents/${documentId}/download`)
+      .set('Authorization', `Bearer ${token}`);
+
+    const passed = response.status === 403;
+    testReporter.recordResult('TC127', 'Document download access control', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,64 @@
+import request from 'supertest';
+import app from '../backend/app';
+import Patient from '../backend/models/patient';
+import { TestDatabase, AuthHelper, TestReporter } from './pms.test.js';
+
+describe('Duplicate Patient Detection Tests', () => {
+  let authToken;
+  let testReporter;
+
+  beforeAll(async () => {
+    testReporter = new TestReporter();
+    await TestDatabase.setup();
+    authToken = await AuthHelper.getAuthToken();
+    await Patient.create({ name: 'John Smith', dob: '1980-06-15' });
+  });
+
+  afterAll(async () => {
+    await TestDatabase.teardown();
+    testReporter.generateReport();
+  });
+
+  // TC107: Warning on create
+  test('TC107: Registering "Jon Smyth" with the same DOB warns about John Smith', async () => {
+    const response = await request(app)
+      .post('/api/patients')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ name: 'Jon Smyth', dob: '1980-06-15' });
+
+    const [match] = response.body.possibleDuplicates || [];
+    const passed = response.status === 201 && match && match.patient.name === 'John Smith';
+    testReporter.recordResult('TC107', 'Duplicate warning on create', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(201);
+    expect(match.patient.name).toBe('John Smith');
+    expect(match.score).toBeGreaterThanOrEqual(0.8);
+  });
+
+  // TC108: No warning for a different person
+  test('TC108: Unrelated patient is created without a warning', async () => {
+    const response = await request(app)
+      .post('/api/patients')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ name: 'Priya Raman', dob: '1992-11-03' });
+
+    const passed = response.status === 201 && response.body.possibleDuplicates === undefined;
+    testReporter.recordResult('TC108', 'No false duplicate warning', passed ? 'passed' : 'failed');
+
+    expect(response.body.possibleDuplicates).toBeUndefined();
+  });
+
+  // TC109: Candidate report
+  test('TC109: Duplicate report pairs the two Smith records', async () => {
+    const response = await request(app)
+      .get('/api/patients/duplicates')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    const pair = response.body.find(p => p.patients.some(x => x.name === 'Jon Smyth'));
+    const passed = response.status === 200 && pair && pair.patients.some(x => x.name === 'John Smith');
+    testReporter.recordResult('TC109', 'Duplicate candidate report', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(200);
+    expect(pair.patients.map(x => x.name).sort()).toEqual(['John Smith', 'Jon Smyth']);
+  });
+});
@@ -0,0 +1,84 @@
+import request from 'supertest';
+import app from '../backend/app';
+import { TestDatabase, AuthHelper, TestReporter } from './pms.test.js';
+
+describe('Patient Change History Tests', () => {
+  let authToken;
+  let testReporter;
+  let patientId;
+
+  beforeAll(async () => {
+    testReporter = new TestReporter();
+    await TestDatabase.setup();
+    authToken = await AuthHelper.getAuthToken();
+    const created = await request(app)
+      .post('/api/patients')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ name: 'Versioned Patient', dob: '1979-08-08', phone: '555-0100', address: { city: 'Springfield' } });
+    patientId = created.body._id;
+  });
+
+  afterAll(async () => {
+    await TestDatabase.teardown();
+    testReporter.generateReport();
+  });
+
+  // TC128: Update recorded with field diffs
+  test('TC128: Updating a patient stores who changed which fields', async () => {
+    await request(app)
+      .put(`/api/patients/${patientId}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ name: 'Versioned Patient-Smith', address: { city: 'Shelbyville' } });
+
+    const response = await request(app)
+      .get(`/api/patients/${patientId}/history`)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    const [latest] = response.body;
+    const paths = latest ? latest.changes.map(c => c.path) : [];
+    const name = latest && latest.changes.find(c => c.path === 'name');
+    const passed = response.status === 200 && latest.version === 2 && paths.includes('address.city')
+      && name.old === 'Versioned Patient' && latest.changedBy.username === 'doctor1';
+    testReporter.recordResult('TC128', 'Field-level change history', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveLength(2);
+    expect(latest.action).toBe('update');
+    expect(paths).toEqual(expect.arrayContaining(['name', 'address.city']));
+    expect(name.new).toBe('Versioned Patient-Smith');
+    expect(latest.snapshot).toBeUndefined();
+  });
+
+  // TC129: Admin restores a prior version
+  test('TC129: Admin restores the original version', async () => {
+    const response = await request(app)
+      .post(`/api/patients/${patientId}/history/1/restore`)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    const history = await request(app)
+      .get(`/api/patients/${patientId}/history`)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    const passed = response.status === 200 && response.body.name === 'Versioned Patient'
+      && history.body[0].action === 'restore' && history.body[0].restoredFrom === 1;
+    testReporter.recordResult('TC129', 'Restore prior version', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(200);
+    expect(response.body.name).toBe('Versioned Patient');
+    expect(response.body.address.city).toBe('Springfield');
+    expect(history.body[0].restoredFrom).toBe(1);
+  });
+
+  // TC130: Restore is admin-only
+  test('TC130: Receptionist cannot restore a version', async () => {
+    const token = await AuthHelper.getAuthToken('doctor9'); // receptionist
+    const response = await request(app)
+      .post(`/api/patients/${patientId}/history/1/restore`)
+      .set('Authorization', `Bearer ${token}`);
+
+    const passed = response.status === 403;
+    testReporter.recordResult('TC130', 'Version restore is admin-only', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(403);
+  });
+});
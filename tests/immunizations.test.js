@@ -0,0 +1,97 @@
+import request from 'supertest';
+import app from '../backend/app';
+import { TestDatabase, AuthHelper, TestReporter } from './pms.test.js';
+
+const monthsAgo = (months) => {
+  const date = new Date();
+  date.setMonth(date.getMonth() - months);
+  return date.toISOString().slice(0, 10);
+};
+
+describe('Immunization Tests', () => {
+  let adminToken;
+  let doctorToken;
+  let testReporter;
+  let vaccinatedId;
+  let unvaccinatedId;
+
+  beforeAll(async () => {
+    testReporter = new TestReporter();
+    await TestDatabase.setup();
+    adminToken = await AuthHelper.getAuthToken();
+    doctorToken = await AuthHelper.getAuthToken('doctor6');
+    const vaccinated = await request(app)
+      .post('/api/patients')
+      .set('Authorization', `Bearer ${doctorToken}`)
+      .send({ name: 'Toddler Vaccinated', dob: monthsAgo(20) });
+    const unvaccinated = await request(app)
+      .post('/api/patients')
+      .set('Authorization', `Bearer ${doctorToken}`)
+      .send({ name: 'Toddler Unvaccinated', dob: monthsAgo(20) });
+    vaccinatedId = vaccinated.body._id;
+    unvaccinatedId = unvaccinated.body._id;
+  });
+
+  afterAll(async () => {
+    await TestDatabase.teardown();
+    testReporter.generateReport();
+  });
+
+  // TC146: Recording doses
+  test('TC146: Doses are numbered automatically and expired lots are rejected', async () => {
+    const recorded = await request(app)
+      .post(`/api/patients/${vaccinatedId}/immunizations`)
+      .set('Authorization', `Bearer ${doctorToken}`)
+      .send({ vaccine: 'mmr', lot: 'MMR-4411', site: 'left-thigh', route: 'sc', administeredAt: monthsAgo(7) });
+    const expired = await request(app)
+      .post(`/api/patients/${vaccinatedId}/immunizations`)
+      .set('Authorization', `Bearer ${doctorToken}`)
+      .send({ vaccine: 'VAR', lot: 'VAR-0001', expiresOn: monthsAgo(12), administeredAt: monthsAgo(7) });
+
+    const passed = recorded.status === 201 && recorded.body.vaccine === 'MMR' && recorded.body.doseNumber === 1
+      && expired.status === 400;
+    testReporter.recordResult('TC146', 'Immunization recording', passed ? 'passed' : 'failed');
+
+    expect(recorded.status).toBe(201);
+    expect(recorded.body.doseNumber).toBe(1);
+    expect(expired.status).toBe(400);
+  });
+
+  // TC147: Schedule computed from date of birth
+  test('TC147: Patient schedule shows due and overdue doses from date of birth', async () => {
+    const response = await request(app)
+      .get(`/api/patients/${vaccinatedId}/immunizations/schedule`)
+      .set('Authorization', `Bearer ${doctorToken}`);
+
+    const byVaccine = Object.fromEntries((response.body.series || []).map(s => [s.vaccine, s]));
+    const passed = response.status === 200
+      && byVaccine.MMR && byVaccine.MMR.status === 'upcoming' && byVaccine.MMR.nextDose === 2
+      && byVaccine.DTAP && byVaccine.DTAP.status === 'overdue';
+    testReporter.recordResult('TC147', 'Immunization schedule from dob', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(200);
+    expect(byVaccine.MMR.dosesGiven).toBe(1);
+    expect(byVaccine.MMR.status).toBe('upcoming');
+    expect(byVaccine.DTAP.status).toBe('overdue');
+  });
+
+  // TC148: Overdue worklist and schedule configuration
+  test('TC148: Overdue worklist lists unvaccinated patients and schedules are validated', async () => {
+    const worklist = await request(app)
+      .get('/api/immunizations/overdue?vaccine=MMR')
+      .set('Authorization', `Bearer ${doctorToken}`);
+    const invalid = await request(app)
+      .put('/api/immunizations/schedule')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ series: [{ vaccine: 'MMR', doses: [{ dose: 2, ageMonths: 12 }] }] });
+
+    const ids = (worklist.body || []).map(item => item.patient._id);
+    const passed = worklist.status === 200 && ids.includes(unvaccinatedId) && !ids.includes(vaccinatedId)
+      && invalid.status === 400;
+    testReporter.recordResult('TC148', 'Immunization overdue worklist', passed ? 'passed' : 'failed');
+
+    expect(ids).toContain(unvaccinatedId);
+    expect(ids).not.toContain(vaccinatedId);
+    expect(invalid.status).toBe(400);
+  });
+});
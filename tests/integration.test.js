@@ -66,7 +66,8 @@ describe('Full Integration Flow Test', () => {
     // Delete patient
     const deleteRes = await request(app)
       .delete(`/api/patients/${patientId}`)
-      .set('Authorization', `Bearer ${authToken}`);
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ reason: 'Registered in error' });
 
     const passed = deleteRes.status === 200;
     testReporter.recordResult('TC013', 'Full Integration Workflow', passed ? 'passed' : 'failed');
@@ -0,0 +1,92 @@
+import request from 'supertest';
+import app from '../backend/app';
+import { TestDatabase, AuthHelper, TestReporter } from './pms.test.js';
+
+describe('Lab Order and Result Tests', () => {
+  let doctorToken;
+  let adminToken;
+  let testReporter;
+  let patientId;
+  let orderId;
+
+  beforeAll(async () => {
+    testReporter = new TestReporter();
+    await TestDatabase.setup();
+    doctorToken = await AuthHelper.getAuthToken('doctor6');
+    adminToken = await AuthHelper.getAuthToken();
+    const created = await request(app)
+      .post('/api/patients')
+      .set('Authorization', `Bearer ${doctorToken}`)
+      .send({ name: 'Lab Patient', dob: '1962-12-01' });
+    patientId = created.body._id;
+  });
+
+  afterAll(async () => {
+    await TestDatabase.teardown();
+    testReporter.generateReport();
+  });
+
+  // TC137: Order lifecycle
+  test('TC137: Order moves from ordered to collected and cannot skip ahead', async () => {
+    const order = await request(app)
+      .post(`/api/patients/${patientId}/lab-orders`)
+      .set('Authorization', `Bearer ${doctorToken}`)
+      .send({ tests: ['bmp', 'CBC'], priority: 'urgent' });
+    orderId = order.body._id;
+
+    const early = await request(app)
+      .post(`/api/patients/${patientId}/lab-orders/${orderId}/results`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ results: [{ analyte: 'K', value: 4.2 }] });
+
+    const collected = await request(app)
+      .post(`/api/patients/${patientId}/lab-orders/${orderId}/collect`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    const passed = order.status === 201 && early.status === 409 && collected.body.status === 'collected';
+    testReporter.recordResult('TC137', 'Lab order status lifecycle', passed ? 'passed' : 'failed');
+
+    expect(order.body.status).toBe('ordered');
+    expect(early.status).toBe(409);
+    expect(collected.status).toBe(200);
+    expect(collected.body.status).toBe('collected');
+  });
+
+  // TC138: Automatic flags
+  test('TC138: Results are flagged against reference ranges', async () => {
+    const response = await request(app)
+      .post(`/api/patients/${patientId}/lab-orders/${orderId}/results`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ results: [{ analyte: 'K', value: 6.8 }, { analyte: 'NA', value: 140 }, { analyte: 'HGB', value: 11.2 }] });
+
+    const flags = Object.fromEntries((response.body.results || []).map(r => [r.analyte, r.flag]));
+    const passed = response.status === 201 && response.body.status === 'resulted'
+      && flags.K === 'HH' && flags.NA === null && flags.HGB === 'L';
+    testReporter.recordResult('TC138', 'Lab result flags', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(201);
+    expect(flags).toEqual({ K: 'HH', NA: null, HGB: 'L' });
+  });
+
+  // TC139: Unreviewed abnormal results per doctor
+  test('TC139: Ordering doctor sees unreviewed abnormal results until reviewed', async () => {
+    const before = await request(app)
+      .get('/api/labs/abnormal')
+      .set('Authorization', `Bearer ${doctorToken}`);
+
+    await request(app)
+      .post(`/api/labs/results/${before.body[0]._id}/review`)
+      .set('Authorization', `Bearer ${doctorToken}`);
+
+    const after = await request(app)
+      .get('/api/labs/abnormal')
+      .set('Authorization', `Bearer ${doctorToken}`);
+
+    const passed = before.status === 200 && before.body.length === 2 && before.body[0].analyte === 'K'
+      && after.body.length === 1;
+    testReporter.recordResult('TC139', 'Unreviewed abnormal results', passed ? 'passed' : 'failed');
+
+    expect(before.body.map(r => r.analyte)).toEqual(['K', 'HGB']);
+    expect(after.body.map(r => r.analyte)).toEqual(['HGB']);
+  });
+});
@@ -0,0 +1,64 @@
+import request from 'supertest';
+import app from '../backend/app';
+import { TestDatabase, AuthHelper, TestReporter } from './pms.test.js';
+
+describe('Login Brute-Force Protection Tests', () => {
+  let authToken;
+  let testReporter;
+
+  const attempt = (username, password) => request(app)
+    .post('/api/users/login')
+    .send({ username, password });
+
+  beforeAll(async () => {
+    testReporter = new TestReporter();
+    await TestDatabase.setup();
+    authToken = await AuthHelper.getAuthToken();
+  });
+
+  afterAll(async () => {
+    await TestDatabase.teardown();
+    testReporter.generateReport();
+  });
+
+  // TC087: Account locks after repeated failures
+  test('TC087: Correct password is refused while the account is locked', async () => {
+    for (let i = 0; i < 5; i++) {
+      const response = await attempt('doctor7', 'wrong-password');
+      expect([400, 429]).toContain(response.status);
+    }
+
+    const response = await attempt('doctor7', 'password123');
+
+    const passed = response.status === 429 && response.headers['retry-after'] !== undefined;
+    testReporter.recordResult('TC087', 'Lockout after repeated failures', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(429);
+  });
+
+  // TC088: Unknown usernames are indistinguishable from bad passwords
+  test('TC088: Unknown username gets the same response as a wrong password', async () => {
+    const unknown = await attempt('no-such-user', 'whatever');
+    const wrong = await attempt('doctor6', 'whatever');
+
+    const passed = unknown.status === wrong.status && unknown.body.message === wrong.body.message;
+    testReporter.recordResult('TC088', 'No username enumeration', passed ? 'passed' : 'failed');
+
+    expect(unknown.status).toBe(wrong.status);
+    expect(unknown.body).toEqual(wrong.body);
+  });
+
+  // TC089: Admin unlock
+  test('TC089: Admin can unlock a locked account', async () => {
+    const unlock = await request(app)
+      .post('/api/users/doctor7/unlock')
+      .set('Authorization', `Bearer ${authToken}`);
+    const response = await attempt('doctor7', 'password123');
+
+    const passed = unlock.status === 200 && response.status === 200;
+    testReporter.recordResult('TC089', 'Admin unlock', passed ? 'passed' : 'failed');
+
+    expect(unlock.status).toBe(200);
+    expect(response.status).toBe(200);
+  });
+});
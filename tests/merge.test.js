@@ -0,0 +1,90 @@
+import request from 'supertest';
+import app from '../backend/app';
+import Patient from '../backend/models/patient';
+import User from '../backend/models/user';
+import Appointment from '../backend/models/appointment';
+import Billing from '../backend/models/billing';
+import { TestDatabase, AuthHelper, TestReporter } from './pms.test.js';
+
+describe('Patient Merge Tests', () => {
+  let authToken;
+  let testReporter;
+  let survivor;
+  let duplicate;
+
+  beforeAll(async () => {
+    testReporter = new TestReporter();
+    await TestDatabase.setup();
+    authToken = await AuthHelper.getAuthToken();
+    const doctor = await User.findOne({ username: 'doctor6' });
+    survivor = await Patient.create({ name: 'Maria Garcia', dob: '1975-04-02' });
+    duplicate = await Patient.create({ name: 'Maria Garcia', dob: '1975-04-02' });
+    await Appointment.create({ patientId: duplicate._id, doctorId: doctor._id, date: new Date(), time: '09:00' });
+    await Billing.create({ patientId: duplicate._id, amount: 120, date: new Date(), description: 'Consultation' });
+  });
+
+  afterAll(async () => {
+    await TestDatabase.teardown();
+    testReporter.generateReport();
+  });
+
+  // TC110: Merge relinks records and keeps the old id as an alias
+  test('TC110: Merge moves appointments and bills and resolves the merged id', async () => {
+    const response = await request(app)
+      .post(`/api/patients/${survivor._id}/merge`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ sourceId: duplicate._id, reason: 'Confirmed duplicate registration' });
+
+    const appointments = await Appointment.countDocuments({ patientId: survivor._id });
+    const bills = await Billing.countDocuments({ patientId: survivor._id });
+    const alias = await request(app)
+      .get(`/api/patients/${duplicate._id}`)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    const passed = response.status === 201 && appointments === 1 && bills === 1
+      && alias.body._id === String(survivor._id);
+    testReporter.recordResult('TC110', 'Merge relinks records and aliases old id', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(201);
+    expect(appointments).toBe(1);
+    expect(bills).toBe(1);
+    expect(alias.status).toBe(200);
+    expect(alias.body._id).toBe(String(survivor._id));
+  });
+
+  // TC111: Merged records disappear from listings
+  test('TC111: Merged-away patient is not listed', async () => {
+    const response = await request(app)
+      .get('/api/patients?name=Maria%20Garcia')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    const passed = response.status === 200 && response.body.length === 1;
+    testReporter.recordResult('TC111', 'Merged patient hidden from list', passed ? 'passed' : 'failed');
+
+    expect(response.body).toHaveLength(1);
+    expect(response.body[0]._id).toBe(String(survivor._id));
+  });
+
+  // TC112: Undo within the window
+  test('TC112: Undoing the merge moves the records back', async () => {
+    const [merge] = (await request(app)
+      .get(`/api/patients/merges?patient=${duplicate._id}`)
+      .set('Authorization', `Bearer ${authToken}`)).body;
+
+    const response = await request(app)
+      .post(`/api/patients/merges/${merge._id}/undo`)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    const appointments = await Appointment.countDocuments({ patientId: duplicate._id });
+    const bills = await Billing.countDocuments({ patientId: duplicate._id });
+    const restored = await Patient.findById(duplicate._id);
+
+    const passed = response.status === 200 && appointments === 1 && bills === 1 && !restored.mergedInto;
+    testReporter.recordResult('TC112', 'Merge undo restores records', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(200);
+    expect(appointments).toBe(1);
+    expect(bills).toBe(1);
+    expect(restored.mergedInto).toBeNull();
+  });
+});
@@ -0,0 +1,88 @@
+import request from 'supertest';
+import app from '../backend/app';
+import { totp } from '../backend/services/totp';
+import { TestDatabase, AuthHelper, TestReporter } from './pms.test.js';
+
+describe('Two-Factor Authentication Tests', () => {
+  let authToken;
+  let testReporter;
+
+  beforeAll(async () => {
+    testReporter = new TestReporter();
+    await TestDatabase.setup();
+    authToken = await AuthHelper.getAuthToken();
+  });
+
+  afterAll(async () => {
+    await TestDatabase.teardown();
+    testReporter.generateReport();
+  });
+
+  // TC093: Enrolled user needs a second factor
+  test('TC093: Login with MFA enabled returns a pending token, not a session', async () => {
+    const token = await AuthHelper.getAuthToken('doctor6');
+    const setup = await request(app)
+      .post('/api/users/me/mfa/setup')
+      .set('Authorization', `Bearer ${token}`);
+    const enable = await request(app)
+      .post('/api/users/me/mfa/enable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: totp(setup.body.secret) });
+
+    const login = await request(app)
+      .post('/api/users/login')
+      .send({ username: 'doctor6', password: 'password123' });
+    const verify = await request(app)
+      .post('/api/users/login/mfa')
+      .send({ mfaToken: login.body.mfaToken, recoveryCode: enable.body.recoveryCodes[0] });
+
+    const passed = setup.body.otpauthUri.startsWith('otpauth://totp/')
+      && login.body.mfaRequired === true && !login.body.token && verify.status === 200;
+    testReporter.recordResult('TC093', 'Second login step required', passed ? 'passed' : 'failed');
+
+    expect(enable.status).toBe(200);
+    expect(enable.body.recoveryCodes).toHaveLength(10);
+    expect(login.body.token).toBeUndefined();
+    expect(verify.body.token).toBeDefined();
+  });
+
+  // TC094: Pending token is not an access token
+  test('TC094: MFA pending token cannot access the API', async () => {
+    const login = await request(app)
+      .post('/api/users/login')
+      .send({ username: 'doctor6', password: 'password123' });
+    const response = await request(app)
+      .get('/api/patients')
+      .set('Authorization', `Bearer ${login.body.mfaToken}`);
+
+    const passed = response.status === 401;
+    testReporter.recordResult('TC094', 'Pending token rejected by API', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(401);
+  });
+
+  // TC095: Role-based MFA policy forces enrollment
+  test('TC095: Role policy forces enrollment at next login', async () => {
+    await request(app)
+      .put('/api/users/policy/mfa')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ requiredRoles: ['nurse'] });
+
+    const login = await request(app)
+      .post('/api/users/login')
+      .send({ username: 'doctor8', password: 'password123' });
+    const setup = await request(app)
+      .post('/api/users/login/mfa/setup')
+      .send({ mfaToken: login.body.mfaToken });
+    const verify = await request(app)
+      .post('/api/users/login/mfa')
+      .send({ mfaToken: login.body.mfaToken, code: totp(setup.body.secret) });
+
+    const passed = login.body.enrollmentRequired === true && verify.status === 200 && verify.body.recoveryCodes.length === 10;
+    testReporter.recordResult('TC095', 'MFA required by role', passed ? 'passed' : 'failed');
+
+    expect(login.body.enrollmentRequired).toBe(true);
+    expect(verify.status).toBe(200);
+    expect(verify.body.token).toBeDefined();
+  });
+});
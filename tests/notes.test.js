@@ -0,0 +1,89 @@
+import request from 'supertest';
+import app from '../backend/app';
+import Patient from '../backend/models/patient';
+import User from '../backend/models/user';
+import { TestDatabase, AuthHelper, TestReporter } from './pms.test.js';
+
+describe('Clinical Notes Tests', () => {
+  let authorToken;
+  let testReporter;
+  let patientId;
+  let noteId;
+
+  beforeAll(async () => {
+    testReporter = new TestReporter();
+    await TestDatabase.setup();
+    authorToken = await AuthHelper.getAuthToken('doctor6');
+    const [author, supervisor, nurse] = await Promise.all(['doctor6', 'doctor7', 'doctor8']
+      .map(username => User.findOne({ username })));
+    await User.updateOne({ _id: author._id }, { supervisor: supervisor._id });
+
+    const created = await request(app)
+      .post('/api/patients')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ name: 'Notes Patient', dob: '1966-06-06' });
+    patientId = created.body._id;
+    await Patient.updateOne({ _id: patientId }, {
+      $push: { 'careTeam.doctors': supervisor._id, 'careTeam.nurses': nurse._id },
+    });
+  });
+
+  afterAll(async () => {
+    await TestDatabase.teardown();
+    testReporter.generateReport();
+  });
+
+  // TC131: Signing locks the note
+  test('TC131: Signed note cannot be edited', async () => {
+    const draft = await request(app)
+      .post(`/api/patients/${patientId}/notes`)
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ subjective: 'Cough for 3 days', assessment: 'Viral URTI', plan: 'Fluids, review in 1 week' });
+    noteId = draft.body._id;
+
+    const signed = await request(app)
+      .post(`/api/patients/${patientId}/notes/${noteId}/sign`)
+      .set('Authorization', `Bearer ${authorToken}`);
+
+    const edit = await request(app)
+      .put(`/api/patients/${patientId}/notes/${noteId}`)
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ plan: 'Antibiotics' });
+
+    const passed = draft.body.status === 'draft' && signed.body.status === 'signed' && edit.status === 409;
+    testReporter.recordResult('TC131', 'Signed notes are locked', passed ? 'passed' : 'failed');
+
+    expect(signed.status).toBe(200);
+    expect(signed.body.signedAt).toBeDefined();
+    expect(edit.status).toBe(409);
+  });
+
+  // TC132: Supervisor addendum
+  test('TC132: Supervisor can add an addendum to a signed note', async () => {
+    const token = await AuthHelper.getAuthToken('doctor7');
+    const response = await request(app)
+      .post(`/api/patients/${patientId}/notes/${noteId}/addenda`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ text: 'Reviewed: agree with plan, add salbutamol if wheeze develops.' });
+
+    const passed = response.status === 201 && response.body.createdAt;
+    testReporter.recordResult('TC132', 'Supervisor addendum', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(201);
+    expect(response.body.createdAt).toBeDefined();
+  });
+
+  // TC133: Other clinicians cannot add addenda
+  test('TC133: Clinician who is neither author nor supervisor cannot add an addendum', async () => {
+    const token = await AuthHelper.getAuthToken('doctor8'); // nurse on the care team
+    const response = await request(app)
+      .post(`/api/patients/${patientId}/notes/${noteId}/addenda`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ text: 'Attempted correction' });
+
+    const passed = response.status === 403;
+    testReporter.recordResult('TC133', 'Addendum restricted to author or supervisor', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,80 @@
+import request from 'supertest';
+import app from '../backend/app';
+import notifier from '../backend/services/notifier';
+import { TestDatabase, AuthHelper, TestReporter } from './pms.test.js';
+
+describe('Password Policy & Recovery Tests', () => {
+  let authToken;
+  let testReporter;
+  const outbox = [];
+
+  beforeAll(async () => {
+    testReporter = new TestReporter();
+    notifier.registerTransport('memory', async (message) => { outbox.push(message); });
+    process.env.NOTIFIER_TRANSPORT = 'memory';
+    await TestDatabase.setup();
+    authToken = await AuthHelper.getAuthToken();
+  });
+
+  afterAll(async () => {
+    delete process.env.NOTIFIER_TRANSPORT;
+    await TestDatabase.teardown();
+    testReporter.generateReport();
+  });
+
+  // TC090: Weak password rejected
+  test('TC090: Registration rejects a password that violates the policy', async () => {
+    const response = await request(app)
+      .post('/api/users/register')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ username: 'weakling', password: 'abc', role: 'nurse' });
+
+    const passed = response.status === 400;
+    testReporter.recordResult('TC090', 'Weak password rejected', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(400);
+  });
+
+  // TC091: Change password and refuse reuse
+  test('TC091: User can change password but not reuse the current one', async () => {
+    const token = await AuthHelper.getAuthToken('doctor6');
+
+    const reuse = await request(app)
+      .post('/api/users/me/password')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ currentPassword: 'password123', newPassword: 'password123' });
+    const change = await request(app)
+      .post('/api/users/me/password')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ currentPassword: 'password123', newPassword: 'newsecret456' });
+
+    const passed = reuse.status === 400 && change.status === 200;
+    testReporter.recordResult('TC091', 'Change password with reuse check', passed ? 'passed' : 'failed');
+
+    expect(reuse.status).toBe(400);
+    expect(change.status).toBe(200);
+  });
+
+  // TC092: One-time reset token
+  test('TC092: Reset token works once and only once', async () => {
+    await request(app).post('/api/users/password/forgot').send({ username: 'doctor7' });
+    const token = outbox[outbox.length - 1].text.match(/[0-9a-f]{64}/)[0];
+
+    const reset = await request(app)
+      .post('/api/users/password/reset')
+      .send({ token, newPassword: 'resetpass789' });
+    const again = await request(app)
+      .post('/api/users/password/reset')
+      .send({ token, newPassword: 'another789x' });
+    const login = await request(app)
+      .post('/api/users/login')
+      .send({ username: 'doctor7', password: 'resetpass789' });
+
+    const passed = reset.status === 200 && again.status === 400 && login.status === 200;
+    testReporter.recordResult('TC092', 'One-time reset token', passed ? 'passed' : 'failed');
+
+    expect(reset.status).toBe(200);
+    expect(again.status).toBe(400);
+    expect(login.status).toBe(200);
+  });
+});
@@ -143,7 +143,8 @@ describe('🧪 Patient Management Tests', () => {
     // Delete
     const del = await request(app)
       .delete(`/api/patients/${id}`)
-      .set('Authorization', `Bearer ${authToken}`);
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ reason: 'Registered in error' });
     expect(del.status).toBe(200);
 
     testReporter.recordResult('TC013', 'End-to-End Patient Flow', 'passed');
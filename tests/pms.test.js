@@ -5,6 +5,8 @@ import Patient from '../backend/models/patient';
 import Appointment from '../backend/models/appointment';
 import User from '../backend/models/user';
 import Billing from '../backend/models/billing';
+import LoginAttempt from '../backend/models/loginAttempt';
+import Setting from '../backend/models/setting';
 
 // Test Configuration
 const TEST_CONFIG = {
@@ -44,12 +46,13 @@ class TestDataGenerator {
   }
 
   static generateUsers(count = 10) {
+    const staffRoles = ['doctor', 'doctor', 'nurse', 'receptionist', 'billing'];
     const users = [];
     for (let i = 1; i <= count; i++) {
       users.push({
         username: `doctor${i}`,
         password: 'password123',
-        role: i <= 5 ? 'admin' : 'assistant',
+        role: i <= 5 ? 'admin' : staffRoles[(i - 6) % staffRoles.length],
         email: `doctor${i}@clinic.com`
       });
     }
@@ -70,6 +73,8 @@ class TestDatabase {
     await Appointment.deleteMany({});
     await User.deleteMany({});
     await Billing.deleteMany({});
+    await LoginAttempt.deleteMany({});
+    await Setting.deleteMany({});
   }
 
   static async seedTestData() {
@@ -481,7 +486,8 @@ describe('Patient Management System - Complete Test Suite', () => {
       // Delete patient
       const deleteResponse = await request(app)
         .delete(`/api/patient/${patientId}`)
-        .set('Authorization', `Bearer ${authToken}`);
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ reason: 'Registered in error' });
 
       if (deleteResponse.status === 200) {
         testReporter.recordResult('TC013', 'End-to-End Patient Flow', 'passed');
@@ -0,0 +1,113 @@
+import request from 'supertest';
+import app from '../backend/app';
+import User from '../backend/models/user';
+import { TestDatabase, AuthHelper, TestReporter } from './pms.test.js';
+
+describe('Patient Portal Tests', () => {
+  let adminToken;
+  let portalToken;
+  let testReporter;
+  let ownPatient;
+  let otherPatient;
+  let otherAppointmentId;
+  let doctorId;
+
+  beforeAll(async () => {
+    testReporter = new TestReporter();
+    await TestDatabase.setup();
+    adminToken = await AuthHelper.getAuthToken();
+    doctorId = (await User.findOne({ username: 'doctor6' }))._id;
+    const future = new Date(Date.now() + 7 * 86400000);
+
+    const own = await request(app)
+      .post('/api/patients')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Portal Owner', dob: '1985-03-12', phone: '555-0101' });
+    const other = await request(app)
+      .post('/api/patients')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Someone Else', dob: '1972-11-30' });
+    ownPatient = own.body;
+    otherPatient = other.body;
+
+    for (const patient of [ownPatient, otherPatient]) {
+      const appointment = await request(app)
+        .post('/api/appointments')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ patientId: patient._id, doctorId, date: future, time: '09:00', notes: 'Staff-only note' });
+      if (patient === otherPatient) otherAppointmentId = appointment.body._id;
+      await request(app)
+        .post('/api/billing')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ patientId: patient._id, amount: patient === ownPatient ? 120 : 999, date: new Date(), description: 'Consultation' });
+    }
+
+    await request(app)
+      .post('/api/users/register')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ username: 'portalowner', password: 'portalpass481', role: 'patient', patient: ownPatient._id });
+    portalToken = await AuthHelper.getAuthToken('portalowner', 'portalpass481');
+  });
+
+  afterAll(async () => {
+    await TestDatabase.teardown();
+    testReporter.generateReport();
+  });
+
+  // TC149: Own data only
+  test('TC149: Portal returns only the linked patient\'s demographics, appointments and invoices', async () => {
+    const me = await request(app).get('/api/portal/me').set('Authorization', `Bearer ${portalToken}`);
+    const appointments = await request(app).get('/api/portal/appointments').set('Authorization', `Bearer ${portalToken}`);
+    const invoices = await request(app).get('/api/portal/invoices').set('Authorization', `Bearer ${portalToken}`);
+
+    const passed = me.status === 200 && me.body.mrn === ownPatient.mrn
+      && appointments.body.length === 1 && appointments.body[0].notes === undefined
+      && invoices.body.totalBilled === 120;
+    testReporter.recordResult('TC149', 'Portal shows own data only', passed ? 'passed' : 'failed');
+
+    expect(me.body.name).toBe('Portal Owner');
+    expect(appointments.body).toHaveLength(1);
+    expect(appointments.body[0]).not.toHaveProperty('notes');
+    expect(invoices.body.invoices).toHaveLength(1);
+    expect(invoices.body.totalBilled).toBe(120);
+  });
+
+  // TC150: Staff API closed to patients
+  test('TC150: Patient accounts cannot use the staff API', async () => {
+    const list = await request(app).get('/api/patients').set('Authorization', `Bearer ${portalToken}`);
+    const record = await request(app).get(`/api/patients/${otherPatient._id}`).set('Authorization', `Bearer ${portalToken}`);
+    const directory = await request(app).get('/api/users/directory').set('Authorization', `Bearer ${portalToken}`);
+    const staffPortal = await request(app).get('/api/portal/me').set('Authorization', `Bearer ${adminToken}`);
+
+    const passed = [list, record, directory, staffPortal].every(response => response.status === 403);
+    testReporter.recordResult('TC150', 'Staff API closed to patient accounts', passed ? 'passed' : 'failed');
+
+    expect(list.status).toBe(403);
+    expect(record.status).toBe(403);
+    expect(directory.status).toBe(403);
+    expect(staffPortal.status).toBe(403);
+  });
+
+  // TC151: Request and cancel
+  test('TC151: Patient can request and cancel their own appointments only', async () => {
+    const requested = await request(app)
+      .post('/api/portal/appointments')
+      .set('Authorization', `Bearer ${portalToken}`)
+      .send({ doctorId, date: new Date(Date.now() + 14 * 86400000), time: '11:15', reason: 'Repeat prescription' });
+    const cancelled = await request(app)
+      .post(`/api/portal/appointments/${requested.body._id}/cancel`)
+      .set('Authorization', `Bearer ${portalToken}`);
+    const foreign = await request(app)
+      .post(`/api/portal/appointments/${otherAppointmentId}/cancel`)
+      .set('Authorization', `Bearer ${portalToken}`);
+
+    const passed = requested.status === 201 && requested.body.status === 'requested'
+      && cancelled.body.status === 'cancelled' && foreign.status === 404;
+    testReporter.recordResult('TC151', 'Portal appointment request and cancel', passed ? 'passed' : 'failed');
+
+    expect(requested.body.status).toBe('requested');
+    expect(cancelled.status).toBe(200);
+    expect(cancelled.body.status).toBe('cancelled');
+    expect(foreign.status).toBe(404);
+  });
+});
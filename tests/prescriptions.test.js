@@ -0,0 +1,78 @@
+import request from 'supertest';
+import app from '../backend/app';
+import { TestDatabase, AuthHelper, TestReporter } from './pms.test.js';
+
+describe('Prescription Tests', () => {
+  let doctorToken;
+  let testReporter;
+  let patientId;
+
+  beforeAll(async () => {
+    testReporter = new TestReporter();
+    await TestDatabase.setup();
+    doctorToken = await AuthHelper.getAuthToken('doctor6');
+    const created = await request(app)
+      .post('/api/patients')
+      .set('Authorization', `Bearer ${doctorToken}`)
+      .send({ name: 'Prescription Patient', dob: '1950-02-20' });
+    patientId = created.body._id;
+
+    await request(app)
+      .post(`/api/patients/${patientId}/allergies`)
+      .set('Authorization', `Bearer ${doctorToken}`)
+      .send({ substance: 'Penicillin', reaction: 'Anaphylaxis', severity: 'severe' });
+    await request(app)
+      .post(`/api/patients/${patientId}/medications`)
+      .set('Authorization', `Bearer ${doctorToken}`)
+      .send({ name: 'Warfarin', dose: '5 mg', frequency: 'once daily' });
+  });
+
+  afterAll(async () => {
+    await TestDatabase.teardown();
+    testReporter.generateReport();
+  });
+
+  // TC134: Allergy match blocks the order
+  test('TC134: Prescribing a penicillin to a penicillin-allergic patient is rejected', async () => {
+    const response = await request(app)
+      .post(`/api/patients/${patientId}/prescriptions`)
+      .set('Authorization', `Bearer ${doctorToken}`)
+      .send({ drug: 'Amoxil', dose: '500 mg', frequency: 'three times daily', durationDays: 7 });
+
+    const passed = response.status === 409 && response.body.blocking.some(b => b.type === 'allergy');
+    testReporter.recordResult('TC134', 'Allergy check blocks prescription', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(409);
+    expect(response.body.blocking[0].type).toBe('allergy');
+  });
+
+  // TC135: Interaction warning is recorded
+  test('TC135: Interaction with an active medication is returned as a warning', async () => {
+    const response = await request(app)
+      .post(`/api/patients/${patientId}/prescriptions`)
+      .set('Authorization', `Bearer ${doctorToken}`)
+      .send({ drug: 'ibuprofen', dose: '400 mg', frequency: 'as needed', durationDays: 5 });
+
+    const warning = (response.body.warnings || []).find(w => w.with === 'warfarin');
+    const passed = response.status === 201 && warning && warning.severity === 'major';
+    testReporter.recordResult('TC135', 'Interaction warning on prescription', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(201);
+    expect(response.body.prescriber).toBeDefined();
+    expect(warning.severity).toBe('major');
+  });
+
+  // TC136: Only doctors prescribe
+  test('TC136: Nurse cannot write prescriptions', async () => {
+    const token = await AuthHelper.getAuthToken('doctor8'); // nurse
+    const response = await request(app)
+      .post(`/api/patients/${patientId}/prescriptions`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ drug: 'paracetamol', dose: '1 g', frequency: 'four times daily', durationDays: 3 });
+
+    const passed = response.status === 403;
+    testReporter.recordResult('TC136', 'Prescribing restricted to doctors', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(403);
+  });
+});
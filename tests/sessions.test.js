@@ -0,0 +1,75 @@
+import request from 'supertest';
+import app from '../backend/app';
+import { TestDatabase, TestReporter } from './pms.test.js';
+
+describe('Session & Token Revocation Tests', () => {
+  let testReporter;
+
+  const login = (username = 'doctor1') => request(app)
+    .post('/api/users/login')
+    .send({ username, password: 'password123' });
+
+  beforeAll(async () => {
+    testReporter = new TestReporter();
+    await TestDatabase.setup();
+  });
+
+  afterAll(async () => {
+    await TestDatabase.teardown();
+    testReporter.generateReport();
+  });
+
+  // TC084: Refresh token rotation
+  test('TC084: Refresh issues a new token pair and rejects reuse', async () => {
+    const { body } = await login();
+
+    const refreshed = await request(app)
+      .post('/api/users/refresh')
+      .send({ refreshToken: body.refreshToken });
+    const reused = await request(app)
+      .post('/api/users/refresh')
+      .send({ refreshToken: body.refreshToken });
+
+    const passed = refreshed.status === 200 && refreshed.body.refreshToken !== body.refreshToken && reused.status === 401;
+    testReporter.recordResult('TC084', 'Refresh token rotation', passed ? 'passed' : 'failed');
+
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body.token).toBeDefined();
+    expect(reused.status).toBe(401);
+  });
+
+  // TC085: Logout revokes the access token
+  test('TC085: Access token is rejected after logout', async () => {
+    const { body } = await login();
+
+    await request(app)
+      .post('/api/users/logout')
+      .set('Authorization', `Bearer ${body.token}`);
+    const response = await request(app)
+      .get('/api/patients')
+      .set('Authorization', `Bearer ${body.token}`);
+
+    const passed = response.status === 401;
+    testReporter.recordResult('TC085', 'Logout revokes access token', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(401);
+  });
+
+  // TC086: Deactivating an account revokes its sessions
+  test('TC086: Disabled account loses its session immediately', async () => {
+    const admin = await login();
+    const nurse = await login('doctor8');
+
+    await request(app)
+      .post('/api/users/doctor8/deactivate')
+      .set('Authorization', `Bearer ${admin.body.token}`);
+    const response = await request(app)
+      .get('/api/patients')
+      .set('Authorization', `Bearer ${nurse.body.token}`);
+
+    const passed = response.status === 401;
+    testReporter.recordResult('TC086', 'Deactivation revokes sessions', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(401);
+  });
+});
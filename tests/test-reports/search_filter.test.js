@@ -76,4 +76,50 @@ describe('Patient Search & Filter Tests', () => {
     expect(res.status).toBe(200);
     expect(res.body.length).toBeLessThanOrEqual(2);
   });
+
+  // TC105: Total-count metadata
+  test('TC105: Paged response reports the total count', async () => {
+    const res = await request(app)
+      .get('/api/patients?name=o&page=2&limit=1')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    const total = Number(res.headers['x-total-count']);
+    const passed = res.status === 200 && total >= 2 && res.headers['x-page'] === '2' && res.body.length === 1;
+    testReporter.recordResult('TC105', 'Total-count metadata', passed ? 'passed' : 'failed');
+
+    expect(res.headers['x-total-pages']).toBe(String(total));
+    expect(res.body).toHaveLength(1);
+  });
+
+  // TC106: Unknown sort key rejected
+  test('TC106: Unknown sort key is rejected', async () => {
+    const res = await request(app)
+      .get('/api/patients?sort=password_desc')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    const passed = res.status === 400;
+    testReporter.recordResult('TC106', 'Sort key whitelist', passed ? 'passed' : 'failed');
+
+    expect(res.status).toBe(400);
+  });
+
+  // TC156: Condition filter covers the structured problem list too
+  test('TC156: Filter by condition matches problem list codes and free-text history', async () => {
+    await Patient.create({ name: 'Dana White', dob: '1995-04-04', problems: [{ code: 'J45.909', description: 'Asthma' }] });
+
+    const byCode = await request(app)
+      .get('/api/patients?condition=J45.909')
+      .set('Authorization', `Bearer ${authToken}`);
+    const byText = await request(app)
+      .get('/api/patients?condition=asthma')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    const names = byText.body.map(p => p.name).sort();
+    const passed = byCode.status === 200 && byCode.body.map(p => p.name).join() === 'Dana White'
+      && names.join() === 'Charlie Brown,Dana White';
+    testReporter.recordResult('TC156', 'Condition filter over problems and history', passed ? 'passed' : 'failed');
+
+    expect(byCode.body.map(p => p.name)).toEqual(['Dana White']);
+    expect(names).toEqual(['Charlie Brown', 'Dana White']);
+  });
 });
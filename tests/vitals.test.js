@@ -0,0 +1,87 @@
+import request from 'supertest';
+import app from '../backend/app';
+import Patient from '../backend/models/patient';
+import { TestDatabase, AuthHelper, TestReporter } from './pms.test.js';
+
+describe('Vital Signs Tests', () => {
+  let authToken;
+  let testReporter;
+  let patient;
+
+  beforeAll(async () => {
+    testReporter = new TestReporter();
+    await TestDatabase.setup();
+    authToken = await AuthHelper.getAuthToken();
+    patient = await Patient.create({ name: 'Vitals Patient', dob: '1958-07-30' });
+  });
+
+  afterAll(async () => {
+    await TestDatabase.teardown();
+    testReporter.generateReport();
+  });
+
+  // TC122: BMI and abnormal flags
+  test('TC122: Recording vitals computes BMI and flags abnormal values', async () => {
+    const response = await request(app)
+      .post(`/api/patients/${patient._id}/vitals`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ systolic: 182, diastolic: 96, pulse: 72, weight: 80, height: 175, takenAt: '2024-03-01T09:00:00Z' });
+
+    const levels = Object.fromEntries((response.body.flags || []).map(f => [f.measure, f.level]));
+    const passed = response.status === 201 && response.body.bmi === 26.1 && levels.systolic === 'critical-high';
+    testReporter.recordResult('TC122', 'BMI and abnormal flags', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(201);
+    expect(response.body.bmi).toBe(26.1);
+    expect(levels.systolic).toBe('critical-high');
+    expect(levels.pulse).toBeUndefined();
+  });
+
+  // TC157: Readings on a range limit are not flagged
+  test('TC157: Values equal to a reference limit count as normal', async () => {
+    const response = await request(app)
+      .post(`/api/patients/${patient._id}/vitals`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ systolic: 140, diastolic: 60, pulse: 100, takenAt: '2024-03-02T09:00:00Z' });
+
+    const passed = response.status === 201 && (response.body.flags || []).length === 0;
+    testReporter.recordResult('TC157', 'Vital range limits are normal', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(201);
+    expect(response.body.flags).toEqual([]);
+  });
+
+  // TC123: Implausible values rejected
+  test('TC123: Out-of-range reading is rejected', async () => {
+    const response = await request(app)
+      .post(`/api/patients/${patient._id}/vitals`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ temperature: 98.6 });
+
+    const passed = response.status === 400;
+    testReporter.recordResult('TC123', 'Vital range validation', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(400);
+  });
+
+  // TC124: Charting series within a date range
+  test('TC124: Series endpoint returns readings within the date range', async () => {
+    await request(app)
+      .post(`/api/patients/${patient._id}/vitals`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ systolic: 128, diastolic: 82, takenAt: '2024-04-01T09:00:00Z' });
+
+    const response = await request(app)
+      .get(`/api/patients/${patient._id}/vitals?from=2024-03-15&to=2024-04-30`)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    const systolic = response.body.series ? response.body.series.systolic : [];
+    const passed = response.status === 200 && systolic.length === 1 && systolic[0].value === 128;
+    testReporter.recordResult('TC124', 'Vitals series by date range', passed ? 'passed' : 'failed');
+
+    expect(response.status).toBe(200);
+    expect(systolic).toHaveLength(1);
+    expect(systolic[0].value).toBe(128);
+    expect(systolic[0].flag).toBeNull();
+  });
+});